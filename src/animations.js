@@ -1,7 +1,34 @@
 import * as THREE from "three";
 
 import { level, changeLevel } from "./main.js";
-import { rotateAroundWorldAxis, getRotatedClone, playAudio, twoPtRound, camOffset } from "./utils.js";
+import { Level } from "./level.js";
+import { showResult } from "./hud.js";
+import { isUnlocked, recordWin } from "./progress.js";
+import { isPlayTesting, stopPlayTest } from "./editor.js";
+import { isReplayAttempt } from "./replay.js";
+import { tween, wait, easing } from "./tween.js";
+import { getFocus, setFocus } from "./camera.js";
+import { rotateAroundWorldAxis, focusPosition } from "./utils.js";
+import { playSound } from "./audio.js";
+import { musicFor, playMusic, duckForJingle } from "./music.js";
+import { getLevelData } from "./levelData.js";
+import { recordSplit, isSpeedrunFinished, finishSpeedrun } from "./speedrun.js";
+import { showMainMenu } from "./menu.js";
+
+/**
+ * Animation durations (ms, at 1x animation speed)
+ */
+const _ROLL_TIME = 270;
+const _FAILED_ROLL_TIME = 360;
+const _FALL_TIME = 550;
+const _POP_TIME = 180;
+const _SINK_TIME = 600;
+const _FADE_TIME = 500;
+
+/**
+ * Time the music stays ducked under the win jingle (ms)
+ */
+const _JINGLE_TIME = 2500;
 
 /**
  * Whether an animation is currently playing; Used to prevent concurrent animations
@@ -9,75 +36,89 @@ import { rotateAroundWorldAxis, getRotatedClone, playAudio, twoPtRound, camOffse
 let animationPlaying = false;
 
 /**
- * Animate the rotation of the block around an axis in world space passing through a point
+ * Running bridge tweens by bridge tile object, so a bridge switched again mid-animation turns around where it is
+ */
+let _bridgeTweens = new WeakMap();
+
+/**
+ * Animate the rotation of the block (or the active cube) around an axis in world space passing through a point
  *
  * @param {THREE.Vector3} rotPoint Point to be rotated around
  * @param {THREE.Vector3} axis Normalized axis vector
  * @param {number} angle Rotation angle in radians
- * @param {THREE.OrthographicCamera} camera Renderer camera
+ * @param {GameState} futureState State of the game once the rotation is done
  */
-function animateRotation(rotPoint, axis, angle, camera) {
+async function animateRotation(rotPoint, axis, angle, futureState) {
     // Setup
-    let futureBlock = getRotatedClone(level.block, rotPoint, axis, angle);
-    let intervals = 0;
+    let focusStart = getFocus();
+    let focusTarget = focusPosition(futureState);
+    let piece = level.activePiece;
+    let turned = 0;
     animationPlaying = true;
 
-    // Begin rotation animation
-    let rotationAnimation = setInterval(() => {
-        // Linear interpolation of camera pos between current & future block pos (1/18th dist along line per interval)
-        // aka smooth camera tracking as the block rotates
-        camera.position.lerp(futureBlock.position.add(camOffset), 1 / 18);
-        // Rotate block +- 5deg per 15ms interval (angle = +- 90deg)
-        rotateAroundWorldAxis(level.block, rotPoint, axis, angle / 18);
-
-        // Stop animation AFTER 18 intervals (0-17)
-        if (++intervals === 18) {
-            clearInterval(rotationAnimation);
-            animationPlaying = false;
-            // Check for win condition
-            if (_checkForWin()) {
-                _animateWin();
-            } else {
-                playAudio("./src/assets/audio/click.wav", 1);
-            }
+    await tween(_ROLL_TIME, easing.linear, (t) => {
+        // Smooth camera tracking between the current & future block pos as the block rotates
+        setFocus(focusStart.clone().lerp(focusTarget, easing.outQuad(t)));
+        // Rotate the block by however much of the angle this frame covers
+        rotateAroundWorldAxis(piece, rotPoint, axis, angle * t - turned);
+        turned = angle * t;
+    }).promise;
+
+    // Commit the move to the game state (also snaps the mesh onto it)
+    let bridgeChanges = _bridgeChanges(level.state, futureState);
+    let isSplitting = futureState.isSplit && !level.state.isSplit;
+    let isMerging = !futureState.isSplit && level.state.isSplit;
+    level.state = futureState;
+    _animateBridges(bridgeChanges);
+    if (isSplitting) {
+        _animateSplit();
+    } else if (isMerging) {
+        playSound("slide");
+    }
+    animationPlaying = false;
+    // Check for win condition
+    if (_checkForWin()) {
+        level.stopTimer();
+        // A replayed win isn't the player's own
+        if (!level.isCustom && !isReplayAttempt()) {
+            recordWin(level.levelNum, level.moves, level.elapsed);
+            recordSplit();
         }
-    }, 15); // 18 interval x 15ms = 270ms
+        _animateWin();
+    } else if (_checkForBreak()) {
+        _animateBreak();
+    } else if (_checkForFall()) {
+        // Keep rolling the way the block was going as it drops, so it tips off the edge
+        _animateFall(null, { point: rotPoint.clone(), axis: axis, angle: (angle * _FALL_TIME) / _ROLL_TIME });
+    } else {
+        playSound("click");
+    }
 }
 
 /**
- * Animate the rotation of the block forward then backward around an axis in world space passing through a point
+ * Animate the rotation of the block (or the active cube) forward then backward around an axis in world space passing
+ * through a point
  *
  * @param {THREE.Vector3} rotPoint Point to be rotated around
  * @param {THREE.Vector3} axis Normalized axis vector
  * @param {number} angle Rotation angle in radians
  */
-function animateFailedRotation(rotPoint, axis, angle) {
+async function animateFailedRotation(rotPoint, axis, angle) {
     // Setup
-    let intervals = 0;
+    let piece = level.activePiece;
+    let turned = 0;
     animationPlaying = true;
 
-    // Begin forward rotation animation
-    let failAnimationForward = setInterval(() => {
-        // Rotate block +- 1.66deg per 15ms interval (angle = +- 30deg)
-        rotateAroundWorldAxis(level.block, rotPoint, axis, angle / 18);
-
-        if (++intervals === 18) {
-            clearInterval(failAnimationForward);
-            intervals = 0;
-
-            // Begin backward rotation animation (reverse forward animation)
-            let failAnimationBackward = setInterval(() => {
-                // Rotate block +- 1.66deg per 15ms interval (angle = - (+- 30deg))
-                rotateAroundWorldAxis(level.block, rotPoint, axis, -angle / 18);
-
-                if (++intervals === 18) {
-                    clearInterval(failAnimationBackward);
-                    animationPlaying = false;
-                    playAudio("./src/assets/audio/error.mp3", 1);
-                }
-            }, 10);
-        }
-    }, 10); // (18 interval x 10ms) x 2 = 360ms
+    await tween(_FAILED_ROLL_TIME, easing.linear, (t) => {
+        // Out to the full angle halfway through, then back to where it started
+        let target = angle * easing.outQuad(1 - Math.abs(2 * t - 1));
+        rotateAroundWorldAxis(piece, rotPoint, axis, target - turned);
+        turned = target;
+    }).promise;
+
+    level.snapPieces();
+    animationPlaying = false;
+    playSound("error");
 }
 
 /**
@@ -86,78 +127,206 @@ function animateFailedRotation(rotPoint, axis, angle) {
  * @returns {boolean} Whether the block is standing on the winning tile
  */
 function _checkForWin() {
-    let win = false;
-    let blockPos = level.blockPos;
-    let winTilePos = level.winTile.position;
-    // If block is vertical
-    if (blockPos.length === 1) {
-        // If block position matches winning tile position
-        win = blockPos[0].x === winTilePos.x && blockPos[0].z === winTilePos.z;
+    return level.boardState.isWin(level.state);
+}
+
+/**
+ * Check if the block is standing on a fragile tile, breaking it
+ *
+ * @returns {boolean} Whether the tile under the block breaks
+ */
+function _checkForBreak() {
+    return level.boardState.breaksUnder(level.state);
+}
+
+/**
+ * Check if the block rolled off the board (fall-off mode), or a switch retracted a bridge from under it
+ *
+ * @returns {boolean} Whether the block is left without support
+ */
+function _checkForFall() {
+    return !level.boardState.supports(level.state);
+}
+
+/**
+ * Animate a fragile tile breaking & falling away with the block, then restart the level
+ */
+function _animateBreak() {
+    let cell = level.state.block.cells[0];
+    _animateFall(level.tileAt(cell.x, cell.z));
+}
+
+/**
+ * Animate the block or cubes (& the tile under them, if any) falling away under gravity, then restart the level
+ *
+ * @param {THREE.Mesh | null} tile Tile falling with the block
+ * @param {{point: THREE.Vector3, axis: THREE.Vector3, angle: number} | null} tip Roll the moving piece keeps turning
+ *  through while it falls (point & axis it rolled around, angle turned over the whole fall), null to drop straight down
+ */
+async function _animateFall(tile = null, tip = null) {
+    animationPlaying = true;
+    let piece = level.activePiece;
+    let falling = level.pieces.filter((mesh) => mesh.visible);
+    if (tile !== null) {
+        falling.push(tile);
+    }
+    let dropped = 0;
+    let turned = 0;
+    playSound("error");
+
+    await tween(_FALL_TIME, easing.linear, (t) => {
+        // Accelerate downwards (distance grows with the square of time) until well out of view
+        let drop = 11 * easing.inQuad(t) - dropped;
+        dropped += drop;
+        for (const mesh of falling) {
+            mesh.position.y -= drop;
+        }
+        if (tip !== null) {
+            tip.point.y -= drop;
+            rotateAroundWorldAxis(piece, tip.point, tip.axis, tip.angle * t - turned);
+            turned = tip.angle * t;
+        }
+    }).promise;
+
+    animationPlaying = false;
+    fadeOutInLevel(0);
+}
+
+/**
+ * Animate the cubes popping up out of the teleporter destinations
+ */
+function _animateSplit() {
+    playSound("slide");
+    for (const cube of level.cubes) {
+        cube.scale.setScalar(0);
+    }
+    tween(_POP_TIME, easing.outBack, (t) => {
+        for (const cube of level.cubes) {
+            cube.scale.setScalar(t);
+        }
+    });
+}
+
+/**
+ * Gets the bridges that differ between two game states
+ *
+ * @param {GameState} from State before a move
+ * @param {GameState} to State after the move
+ * @returns {{tile: THREE.Mesh, extend: boolean}[]} Bridge tile objects & whether they extend or retract
+ */
+function _bridgeChanges(from, to) {
+    let changes = [];
+    to.bridges.forEach((extended, i) => {
+        if (extended !== from.bridges[i]) {
+            changes.push({ tile: level.bridgeTiles[i], extend: extended });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Animate bridges folding out of (or into) the board
+ * - Runs alongside whatever comes next: the game state already holds the new bridge states
+ *
+ * @param {{tile: THREE.Mesh, extend: boolean}[]} changes Bridge tile objects & whether they extend or retract
+ */
+function _animateBridges(changes) {
+    if (changes.length === 0) {
+        return;
+    }
+    playSound("slide");
+
+    for (const { tile, extend } of changes) {
+        // Start from wherever the bridge is, in case it was still folding the other way
+        _bridgeTweens.get(tile)?.cancel();
+        let from = tile.visible ? tile.scale.x : 0;
+        let to = extend ? 1 : 0;
+        _bridgeTweens.set(
+            tile,
+            tween(_POP_TIME * Math.abs(to - from), easing.inOutQuad, (t) => {
+                Level.setBridgeExtension(tile, from + (to - from) * t);
+            })
+        );
     }
-    return win;
 }
 
 /**
  * Animate the block sliding into the winning tile hole
  */
-function _animateWin() {
+async function _animateWin() {
     animationPlaying = true;
-    setTimeout(() => {
-        playAudio("./src/assets/audio/slide.mp3", 0.2);
-
-        // Begin win animation
-        let winAnimation = setInterval(() => {
-            // Subtract 0.1 from block y position per interval until at -0.9 (-1.0 + 0.1 for tile width offset)
-            if (twoPtRound(level.block.position.y) >= -0.9) {
-                level.block.position.y -= 0.1;
-            } else {
-                clearInterval(winAnimation);
-                playAudio("./src/assets/audio/win.mp3", 0.5);
-
-                // Wait 100ms before transitioning between levels
-                setTimeout(() => {
-                    fadeOutInLevel(1);
-                }, 100);
-            }
-        }, 30);
-    }, 50);
+    await wait(50);
+    playSound("slide");
+
+    // Sink until the block is flush with the board (-1.0, the block's half height below the tile top)
+    let startY = level.block.position.y;
+    await tween(_SINK_TIME, easing.inQuad, (t) => {
+        level.block.position.y = startY + (-1 - startY) * t;
+    }).promise;
+    playSound("win");
+    duckForJingle(_JINGLE_TIME / 1000);
+    showResult();
+
+    // Give the result 2s on screen before transitioning between levels
+    // (a play-tested level goes back to the editor, any other custom level restarts, & the last level restarts behind
+    // the main menu, or behind the results of a speedrun)
+    await wait(2000);
+    if (isSpeedrunFinished()) {
+        finishSpeedrun();
+        fadeOutInLevel(0);
+    } else if (!level.isCustom && level.levelNum === level.totalLevels) {
+        showMainMenu();
+        fadeOutInLevel(0);
+    } else if (!level.isCustom) {
+        fadeOutInLevel(1);
+    } else if (isPlayTesting()) {
+        // The win animation is over, release it so the editor can take over
+        animationPlaying = false;
+        stopPlayTest();
+    } else {
+        fadeOutInLevel(0);
+    }
 }
 
 /**
  * Smoothly transition between levels by hiding abrupt changes between gradual fade out & in of canvas opacity
  *
  * @param {number} offset Change in level relative to current level
- * @returns {void} Returns void & does nothing if requested level is invalid
+ * @returns {void} Returns void & does nothing if requested level is invalid or locked
  */
 function fadeOutInLevel(offset) {
-    // If requested level is invalid
-    if (level.levelNum + offset < 0 || level.levelNum + offset > level.totalLevels) {
+    // If requested level is invalid or still locked (a custom level can only be restarted)
+    let levelNum = level.levelNum + offset;
+    if (level.isCustom ? offset !== 0 : (levelNum < 0 || levelNum > level.totalLevels || !isUnlocked(levelNum))) {
         return;
     }
 
+    // Start crossfading to the next level's music as the old level fades out
+    if (!level.isCustom) {
+        playMusic(musicFor(getLevelData(levelNum), levelNum));
+    }
+    fadeOutIn(() => {
+        changeLevel(offset);
+    });
+}
+
+/**
+ * Hide an abrupt change to the scene between a gradual fade out & in of canvas opacity
+ *
+ * @param {Function} change Function making the change, called once the canvas is fully faded out
+ */
+async function fadeOutIn(change) {
     const canvas = document.getElementById("three-window");
     animationPlaying = true;
-    let intervals = 20; // +- 0.05 opacity per interval
 
-    // Fade out
-    let fadeOutAnimation = setInterval(() => {
-        canvas.style.opacity = intervals / 20;
-
-        if (intervals-- === 0) {
-            clearInterval(fadeOutAnimation);
-            changeLevel(offset);
-
-            // Fade in
-            let fadeInAnimation = setInterval(() => {
-                canvas.style.opacity = intervals / 20;
-
-                if (intervals++ === 20) {
-                    clearInterval(fadeInAnimation);
-                    animationPlaying = false;
-                }
-            }, 25);
-        }
-    }, 25);
+    await tween(_FADE_TIME, easing.linear, (t) => {
+        canvas.style.opacity = 1 - t;
+    }).promise;
+    change();
+    await tween(_FADE_TIME, easing.linear, (t) => {
+        canvas.style.opacity = t;
+    }).promise;
+    animationPlaying = false;
 }
 
-export { animationPlaying, animateRotation, animateFailedRotation, fadeOutInLevel };
+export { animationPlaying, animateRotation, animateFailedRotation, fadeOutInLevel, fadeOutIn };
@@ -0,0 +1,183 @@
+/**
+ * Sound manager on the Web Audio API
+ * - Every sound is fetched & decoded once at startup, then played from its buffer (any number at once, no delay)
+ * - Sounds play through the SFX bus & music through the music bus, both mixed into the master bus; bus volumes &
+ *   mute are saved settings, set from the sliders in the pause menu
+ */
+
+import { getSetting, setSetting } from "./settings.js";
+
+/**
+ * Sounds by name: file, volume (0 to 1) & pitch variation (playback rate is randomly up to this much off 1)
+ */
+const _SOUNDS = {
+    click: { src: "./src/assets/audio/click.wav", volume: 1, pitch: 0.08 },
+    error: { src: "./src/assets/audio/error.mp3", volume: 1, pitch: 0.05 },
+    slide: { src: "./src/assets/audio/slide.mp3", volume: 0.2, pitch: 0.1 },
+    win: { src: "./src/assets/audio/win.mp3", volume: 0.5, pitch: 0 },
+    interface: { src: "./src/assets/audio/interface.mp3", volume: 0.5, pitch: 0.03 },
+};
+
+/**
+ * Volume setting of each bus
+ */
+const _BUS_SETTINGS = { master: "masterVolume", sfx: "sfxVolume", music: "musicVolume" };
+
+/**
+ * Audio context everything plays in
+ */
+let _context = null;
+
+/**
+ * Gain nodes of the master, SFX & music buses
+ */
+let _buses = {};
+
+/**
+ * Decoded sounds by name
+ */
+let _buffers = new Map();
+
+/**
+ * Wire up the volume controls in the pause menu, set up the audio buses & preload every sound
+ * - Audio that can't start (no Web Audio support) or a sound that fails to load is reported & stays silent, rather
+ *   than holding up the game; the volume controls work either way
+ *
+ * @returns {Promise<void>} Resolves once every sound is loaded (or has failed to)
+ */
+async function initAudio() {
+    _initVolumeControls();
+    try {
+        _context = new AudioContext();
+    } catch (error) {
+        console.warn("Could not start audio", error);
+        return;
+    }
+    _buses.master = _context.createGain();
+    _buses.master.connect(_context.destination);
+    _buses.sfx = _context.createGain();
+    _buses.sfx.connect(_buses.master);
+    _buses.music = _context.createGain();
+    _buses.music.connect(_buses.master);
+    _applyVolumes();
+
+    // Browsers start audio suspended until the player interacts with the page
+    let resume = () => {
+        if (_context.state === "suspended") {
+            _context.resume().catch((error) => console.warn("Could not resume audio", error));
+        }
+    };
+    document.addEventListener("pointerdown", resume);
+    document.addEventListener("keydown", resume);
+
+    await Promise.all(
+        Object.entries(_SOUNDS).map(async ([name, sound]) => {
+            try {
+                let response = await fetch(sound.src);
+                _buffers.set(name, await _context.decodeAudioData(await response.arrayBuffer()));
+            } catch (error) {
+                console.warn(`Could not load sound "${name}"`, error);
+            }
+        })
+    );
+}
+
+/**
+ * Play a sound effect
+ *
+ * @param {string} name Sound name (click, error, slide, win or interface)
+ * @returns {void} Returns void & plays nothing if the sound isn't loaded
+ */
+function playSound(name) {
+    let buffer = _buffers.get(name);
+    if (buffer === undefined) {
+        return;
+    }
+    let sound = _SOUNDS[name];
+    let source = _context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = 1 + (Math.random() * 2 - 1) * sound.pitch;
+    let gain = _context.createGain();
+    gain.gain.value = sound.volume;
+    source.connect(gain).connect(_buses.sfx);
+    source.start();
+}
+
+/**
+ * Gets the audio context & the bus music plays through
+ *
+ * @returns {{context: AudioContext, bus: GainNode} | null} Audio context & music bus, null before audio is set up
+ */
+function getMusicOutput() {
+    return _context === null ? null : { context: _context, bus: _buses.music };
+}
+
+/**
+ * Change a bus volume & save it
+ *
+ * @param {string} bus Bus name (master, sfx or music)
+ * @param {number} volume Volume (0 to 1)
+ */
+function setVolume(bus, volume) {
+    setSetting(_BUS_SETTINGS[bus], volume);
+    _applyVolumes();
+}
+
+/**
+ * Mute or unmute everything & save it
+ *
+ * @param {boolean} muted Whether to mute
+ */
+function setMuted(muted) {
+    setSetting("muted", muted);
+    _applyVolumes();
+    _updateVolumeControls();
+}
+
+/**
+ * Mute everything, or unmute it if it is muted
+ */
+function toggleMute() {
+    setMuted(!getSetting("muted"));
+}
+
+/**
+ * Set every bus gain from the saved volumes
+ */
+function _applyVolumes() {
+    if (_context === null) {
+        return;
+    }
+    for (const [bus, setting] of Object.entries(_BUS_SETTINGS)) {
+        let volume = bus === "master" && getSetting("muted") ? 0 : getSetting(setting);
+        // Ramp rather than jump, which would click
+        _buses[bus].gain.setTargetAtTime(volume, _context.currentTime, 0.02);
+    }
+}
+
+/**
+ * Wire up the volume sliders & mute button in the pause menu
+ */
+function _initVolumeControls() {
+    for (const bus of Object.keys(_BUS_SETTINGS)) {
+        document.getElementById(`${bus}-volume`).oninput = (event) => {
+            setVolume(bus, Number(event.target.value) / 100);
+        };
+    }
+    document.getElementById("mute-button").onclick = () => {
+        toggleMute();
+    };
+    _updateVolumeControls();
+}
+
+/**
+ * Show the saved volumes & mute state on the pause menu controls
+ */
+function _updateVolumeControls() {
+    for (const [bus, setting] of Object.entries(_BUS_SETTINGS)) {
+        document.getElementById(`${bus}-volume`).value = Math.round(getSetting(setting) * 100);
+    }
+    document.getElementById("mute-button").textContent = getSetting("muted") ? "UNMUTE" : "MUTE";
+}
+
+export { initAudio, playSound, getMusicOutput, setVolume, setMuted, toggleMute };
@@ -0,0 +1,114 @@
+/**
+ * Camera placement: the point the camera follows, & the view angle around it
+ * - The camera sits at camOffset from its focus, turned around the vertical axis through the focus in 90deg steps
+ *   (Q/E), & always looks at the focus
+ */
+
+import * as THREE from "three";
+
+import { dirEnum } from "./state.js";
+import { tween, easing } from "./tween.js";
+import { camOffset, yAxis, ninetyDegRad } from "./utils.js";
+
+/**
+ * View turn animation duration (ms, at 1x animation speed)
+ */
+const _TURN_TIME = 400;
+
+/**
+ * Board directions in the order each 90deg view turn steps them through (a turn of +1 takes each to the next)
+ */
+const _TURN_ORDER = [dirEnum.posX, dirEnum.negZ, dirEnum.negX, dirEnum.posZ];
+
+/**
+ * Renderer camera (shared with main.js)
+ */
+let _camera;
+
+/**
+ * Point the camera follows
+ */
+let _focus = new THREE.Vector3();
+
+/**
+ * View turns made, in 90deg steps (any integer, the view ends up the same every 4)
+ */
+let _turns = 0;
+
+/**
+ * Current view angle around the focus (radians), between whole turns while turning
+ */
+let _angle = 0;
+
+/**
+ * Running view turn tween, null if none
+ */
+let _turnTween = null;
+
+/**
+ * Initialize camera placement, looking at the origin from the default angle
+ *
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ */
+function initCamera(camera) {
+    _camera = camera;
+    _placeCamera();
+}
+
+/**
+ * Gets the point the camera follows
+ *
+ * @returns {THREE.Vector3} Camera focus (a copy)
+ */
+function getFocus() {
+    return _focus.clone();
+}
+
+/**
+ * Move the point the camera follows
+ *
+ * @param {THREE.Vector3} position New camera focus
+ */
+function setFocus(position) {
+    _focus.copy(position);
+    _placeCamera();
+}
+
+/**
+ * Turn the view around the focus by 90deg steps, smoothly
+ * - A turn started while another is still running carries on from wherever that one got to
+ *
+ * @param {number} step Turns to make (+1 counterclockwise, -1 clockwise, seen from above)
+ */
+function rotateView(step) {
+    _turns += step;
+    let from = _angle;
+    let to = _turns * ninetyDegRad;
+    _turnTween?.cancel();
+    _turnTween = tween(_TURN_TIME, easing.inOutQuad, (t) => {
+        _angle = from + (to - from) * t;
+        _placeCamera();
+    });
+}
+
+/**
+ * Gets the board direction a direction given relative to the default view points in from the current view
+ * - e.g. negZ ("up", away from the viewer in the default view) is always the direction away from the viewer
+ *
+ * @param {number} dir Direction relative to the default view (dirEnum)
+ * @returns {number} Board direction (dirEnum)
+ */
+function viewDirection(dir) {
+    let turns = ((_turns % 4) + 4) % 4;
+    return _TURN_ORDER[(_TURN_ORDER.indexOf(dir) + turns) % 4];
+}
+
+/**
+ * Put the camera at its offset from the focus (turned to the current view angle), looking at the focus
+ */
+function _placeCamera() {
+    _camera.position.copy(camOffset).applyAxisAngle(yAxis, _angle).add(_focus);
+    _camera.lookAt(_focus);
+}
+
+export { initCamera, getFocus, setFocus, rotateView, viewDirection };
@@ -0,0 +1,237 @@
+/**
+ * Rebindable keyboard controls
+ * - Every action can be bound to up to two keys (KeyboardEvent.code, so bindings follow key positions rather than
+ *   what the keyboard layout prints on them); only changes from the defaults are saved, under the keyBindings setting
+ */
+
+import { getSetting, setSetting } from "./settings.js";
+import { playSound } from "./audio.js";
+
+/**
+ * Keys each action can be bound to
+ */
+const _SLOTS = 2;
+
+/**
+ * Bindable actions, in the order the controls menu lists them, with their default keys
+ */
+const _ACTIONS = [
+    { name: "up", label: "MOVE UP", keys: ["KeyW", "ArrowUp"] },
+    { name: "down", label: "MOVE DOWN", keys: ["KeyS", "ArrowDown"] },
+    { name: "left", label: "MOVE LEFT", keys: ["KeyA", "ArrowLeft"] },
+    { name: "right", label: "MOVE RIGHT", keys: ["KeyD", "ArrowRight"] },
+    { name: "undo", label: "UNDO", keys: ["KeyZ", null] },
+    { name: "redo", label: "REDO", keys: ["KeyY", null] },
+    { name: "switchCube", label: "SWITCH CUBE", keys: ["Space", null] },
+    { name: "turnLeft", label: "TURN VIEW LEFT", keys: ["KeyQ", null] },
+    { name: "turnRight", label: "TURN VIEW RIGHT", keys: ["KeyE", null] },
+    { name: "hint", label: "HINT", keys: ["KeyH", null] },
+    { name: "restart", label: "RESTART", keys: ["KeyR", null] },
+    { name: "mute", label: "MUTE", keys: ["KeyM", null] },
+    { name: "pause", label: "PAUSE", keys: ["Escape", null] },
+];
+
+/**
+ * Short labels for keys whose code doesn't read well
+ */
+const _KEY_LABELS = {
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    Escape: "ESC",
+    Space: "SPACE",
+};
+
+/**
+ * Binding waiting for a key press in the controls menu, null if none
+ */
+let _listening = null;
+
+/**
+ * Initialize the controls menu (rebinding key presses & the reset button)
+ */
+function initControlsMenu() {
+    // Capture phase, so a key pressed to rebind never reaches the game's own key handler
+    window.addEventListener("keydown", _handleRebindKey, true);
+
+    document.getElementById("reset-controls-button").onclick = () => {
+        setSetting("keyBindings", {});
+        showControls();
+        _setStatus("Controls reset to the defaults");
+        playSound("interface");
+    };
+}
+
+/**
+ * Gets the action a key is bound to
+ *
+ * @param {string} code Key (KeyboardEvent.code)
+ * @returns {string | null} Action name, null if the key isn't bound
+ */
+function actionForKey(code) {
+    return _ACTIONS.find((action) => getBindings(action.name).includes(code))?.name ?? null;
+}
+
+/**
+ * Gets the keys an action is bound to
+ *
+ * @param {string} name Action name
+ * @returns {(string | null)[]} Key (KeyboardEvent.code) in each slot, null for an empty slot
+ */
+function getBindings(name) {
+    return getSetting("keyBindings")[name] ?? _ACTIONS.find((action) => action.name === name).keys;
+}
+
+/**
+ * Gets a key's name as shown to the player
+ *
+ * @param {string | null} code Key (KeyboardEvent.code), null for none
+ * @returns {string} Key name
+ */
+function keyLabel(code) {
+    if (code === null) {
+        return "-";
+    }
+    return _KEY_LABELS[code] ?? code.replace(/^(Key|Digit)/, "").toUpperCase();
+}
+
+/**
+ * Gets a summary of the current bindings, one action per line (for the console help banner)
+ *
+ * @returns {string} Each action's label & bound keys
+ */
+function controlsHelp() {
+    return _ACTIONS.map(({ name, label }) => {
+        let keys = getBindings(name).filter((code) => code !== null);
+        return `${label}: ${keys.length > 0 ? keys.map(keyLabel).join(" / ") : "unbound"}`;
+    }).join("\n");
+}
+
+/**
+ * Show the current bindings in the controls menu, giving up on any binding left waiting for a key
+ */
+function showControls() {
+    _listening = null;
+    _setStatus("");
+    _buildControlsList();
+}
+
+/**
+ * Fill the controls menu with a row (action & a button per key slot) for every action
+ */
+function _buildControlsList() {
+    const list = document.getElementById("controls-list");
+    list.replaceChildren();
+
+    for (const action of _ACTIONS) {
+        let label = document.createElement("span");
+        label.className = "controls-label";
+        label.textContent = action.label;
+        list.append(label);
+
+        getBindings(action.name).forEach((code, slot) => {
+            let button = document.createElement("button");
+            button.className = "button controls-key";
+            let isListening = _listening?.name === action.name && _listening?.slot === slot;
+            button.classList.toggle("listening", isListening);
+            button.textContent = isListening ? "..." : keyLabel(code);
+            button.onclick = () => {
+                _listening = { name: action.name, slot: slot };
+                _buildControlsList();
+                _setStatus("Press a key (ESC to cancel, BACKSPACE to clear)");
+            };
+            list.append(button);
+        });
+    }
+}
+
+/**
+ * Bind the key pressed while the controls menu is waiting for one
+ * - A key already bound to another action (or the other slot) is refused, rather than left doing two things
+ *
+ * @param {KeyboardEvent} event Key press
+ * @returns {void} Returns void & lets the key through if no binding is waiting for a key
+ */
+function _handleRebindKey(event) {
+    // Leaving the controls menu gives up on the binding
+    const menu = document.getElementById("controls-menu");
+    if (getComputedStyle(menu).display !== "flex" || getComputedStyle(menu).visibility !== "visible") {
+        _listening = null;
+    }
+    if (_listening === null) {
+        return;
+    }
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    let { name, slot } = _listening;
+    let keys = [...getBindings(name)];
+
+    if (event.code === "Escape") {
+        _listening = null;
+        _setStatus("");
+    } else if (event.code === "Backspace" || event.code === "Delete") {
+        keys[slot] = null;
+        if (keys.every((code) => code === null)) {
+            _setStatus(`${_label(name)} needs at least one key`, true);
+            return;
+        }
+        _saveBindings(name, keys);
+        _listening = null;
+        _setStatus("");
+    } else {
+        let conflict = actionForKey(event.code);
+        if (conflict !== null && !(conflict === name && keys[slot] === event.code)) {
+            _setStatus(`${keyLabel(event.code)} is already bound to ${_label(conflict)}`, true);
+            playSound("error");
+            return;
+        }
+        keys[slot] = event.code;
+        _saveBindings(name, keys);
+        _listening = null;
+        _setStatus("");
+    }
+    _buildControlsList();
+    playSound("interface");
+}
+
+/**
+ * Save an action's keys (dropped from the save when they are the defaults again)
+ *
+ * @param {string} name Action name
+ * @param {(string | null)[]} keys Key (KeyboardEvent.code) in each slot, null for an empty slot
+ */
+function _saveBindings(name, keys) {
+    let bindings = { ...getSetting("keyBindings") };
+    let defaults = _ACTIONS.find((action) => action.name === name).keys;
+    if (keys.every((code, slot) => code === defaults[slot])) {
+        delete bindings[name];
+    } else {
+        bindings[name] = keys.slice(0, _SLOTS);
+    }
+    setSetting("keyBindings", bindings);
+}
+
+/**
+ * Gets an action's label
+ *
+ * @param {string} name Action name
+ * @returns {string} Label shown in the controls menu
+ */
+function _label(name) {
+    return _ACTIONS.find((action) => action.name === name).label;
+}
+
+/**
+ * Show a message under the controls list
+ *
+ * @param {string} message Message to show
+ * @param {boolean} [isError] Whether the message is an error
+ */
+function _setStatus(message, isError = false) {
+    const status = document.getElementById("controls-status");
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+}
+
+export { initControlsMenu, actionForKey, getBindings, keyLabel, controlsHelp, showControls };
@@ -0,0 +1,749 @@
+import * as THREE from "three";
+
+import { level, playCustomLevel, resumeLastLevel, setLevelShown } from "./main.js";
+import { Level, WIN_TILE_COLOR } from "./level.js";
+import { yAxis, blockMeshPosition } from "./utils.js";
+import { setFocus } from "./camera.js";
+import { BlockState, tileEnum, tileFromSymbol, SWITCH_ACTIONS, RETRACTED_BRIDGE_SYMBOL } from "./state.js";
+import { solveLevel } from "./solver.js";
+import { validateLevel, MUSIC_TRACKS } from "./levelData.js";
+import { animationPlaying, fadeOutIn } from "./animations.js";
+import { showMainMenu } from "./menu.js";
+import { copyShareLink } from "./share.js";
+import { playSound } from "./audio.js";
+import { hideResult } from "./hud.js";
+
+/**
+ * Side length of the editable grid (cells)
+ */
+const _GRID_SIZE = 20;
+
+/**
+ * Camera zoom while editing, so the whole grid fits on screen
+ */
+const _EDITOR_ZOOM = 0.45;
+
+/**
+ * Emissive color of the selected switch or teleporter & the cells linked to it
+ */
+const _LINK_COLOR = 0x3366ff;
+
+/**
+ * Brush that links switches to bridges & teleporters to their destinations instead of painting
+ */
+const _LINK_BRUSH = "link";
+
+/**
+ * Brushes available in the editor palette (layout symbol & label)
+ */
+const _BRUSHES = [
+    { symbol: "■", label: "TILE" },
+    { symbol: "□", label: "WIN" },
+    { symbol: "▒", label: "FRAGILE" },
+    { symbol: " ", label: "EMPTY" },
+    { symbol: "○", label: "SOFT SWITCH" },
+    { symbol: "●", label: "HEAVY SWITCH" },
+    { symbol: "▬", label: "BRIDGE" },
+    { symbol: RETRACTED_BRIDGE_SYMBOL, label: "BRIDGE (OFF)" },
+    { symbol: "◎", label: "TELEPORTER" },
+    { symbol: _LINK_BRUSH, label: "LINK" },
+];
+
+/**
+ * Three.js components (shared with main.js)
+ */
+let _scene, _camera;
+
+/**
+ * Group holding every editor mesh (grid lines, tiles & block start marker)
+ */
+let _editorGroup;
+
+/**
+ * Editor state
+ * - grid: 2D array of layout symbols ([z][x]), start: block start cell [x, z], brush: current layout symbol
+ * - switches: map of switch cell keys ("x,z") to the bridge cell keys they control & their action,
+ *   teleporters: map of teleporter cell keys to the cell keys they send the cubes to,
+ *   selected: cell key of the switch or teleporter being linked (link brush),
+ *   music: music track picked for the level, null for the default
+ */
+let _grid = _emptyGrid();
+let _start = [0, 0];
+let _brush = "■";
+let _switches = new Map();
+let _teleporters = new Map();
+let _selected = null;
+let _music = null;
+
+/**
+ * Map of cell keys ("x,z") to tile meshes in the editor group
+ */
+let _tileMeshes = new Map();
+
+/**
+ * Block start marker mesh (created on first draw, then only moved)
+ */
+let _startMarker;
+
+/**
+ * Stone texture shared by every editor tile (loaded on first use)
+ */
+let _stone;
+
+/**
+ * Whether the editor is open, & whether it is currently play-testing its level
+ */
+let _editorOpen = false;
+let _playTesting = false;
+
+/**
+ * What the pointer is doing while pressed: painting cells, dragging the block start, or nothing
+ */
+let _dragMode = null;
+
+/**
+ * Initialize the editor: palette, buttons & pointer input
+ *
+ * @param {THREE.Scene} scene Renderer scene
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ */
+function initEditor(scene, camera) {
+    _scene = scene;
+    _camera = camera;
+    _editorGroup = new THREE.Group();
+
+    // Grid lines run between cells, which are centered on integer coordinates
+    const gridHelper = new THREE.GridHelper(_GRID_SIZE, _GRID_SIZE, 0xececec, 0x555555);
+    gridHelper.position.set((_GRID_SIZE - 1) / 2, 0.01, (_GRID_SIZE - 1) / 2);
+    _editorGroup.add(gridHelper);
+
+    _initPalette();
+    _initEditorButtons();
+    _initPointerInput();
+}
+
+/**
+ * Open the editor, starting from the layout of the current level
+ * - A level too big for the grid (e.g. from a share link) can't be edited, so the editor starts empty instead
+ */
+function openEditor() {
+    let problem = null;
+    try {
+        _loadIntoGrid(level.data);
+    } catch (error) {
+        problem = error.message;
+        _loadIntoGrid({ layout: [], start: [0, 0] });
+    }
+    _editorOpen = true;
+    _showEditor();
+    if (problem === null) {
+        _setStatus("Click to paint tiles, drag the block to move its start");
+    } else {
+        _setStatus(`Could not open this level: ${problem}`, true);
+    }
+}
+
+/**
+ * Checks if the editor is open & being edited in (not play-testing)
+ *
+ * @returns {boolean} Whether the editor is in use
+ */
+function isEditing() {
+    return _editorOpen && !_playTesting;
+}
+
+/**
+ * Checks if the editor's level is being play-tested
+ *
+ * @returns {boolean} Whether a play-test is running
+ */
+function isPlayTesting() {
+    return _playTesting;
+}
+
+/**
+ * Stop play-testing & fade back to editing
+ *
+ * @returns {void} Returns void & does nothing if not play-testing or an animation is playing
+ */
+function stopPlayTest() {
+    if (!_playTesting || animationPlaying) {
+        return;
+    }
+    fadeOutIn(() => {
+        _playTesting = false;
+        // A play-test won shows its result, which would stay up over the editor
+        hideResult();
+        _showEditor();
+        _setStatus("Play-test finished");
+    });
+}
+
+/// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// ///
+
+/**
+ * Swap the level for the editor's meshes & controls
+ */
+function _showEditor() {
+    setLevelShown(false);
+    _scene.add(_editorGroup);
+
+    // Look at the middle of the grid from the usual angle, zoomed out to fit it all
+    let gridCenter = new THREE.Vector3((_GRID_SIZE - 1) / 2, 0, (_GRID_SIZE - 1) / 2);
+    setFocus(gridCenter);
+    _camera.zoom = _EDITOR_ZOOM;
+    _camera.updateProjectionMatrix();
+
+    document.getElementById("hud").style.visibility = "hidden";
+    document.getElementById("touch-controls").style.visibility = "hidden";
+    document.getElementById("editor-panel").style.visibility = "visible";
+}
+
+/**
+ * Swap the editor's meshes & controls back for the level
+ */
+function _hideEditor() {
+    _scene.remove(_editorGroup);
+    _camera.zoom = 1;
+    _camera.updateProjectionMatrix();
+
+    document.getElementById("hud").style.visibility = "visible";
+    document.getElementById("touch-controls").style.visibility = "visible";
+    document.getElementById("editor-panel").style.visibility = "hidden";
+}
+
+/**
+ * Create a palette button for every brush
+ */
+function _initPalette() {
+    const palette = document.getElementById("editor-brushes");
+    for (const { symbol, label } of _BRUSHES) {
+        let button = document.createElement("button");
+        button.className = "button editor-brush";
+        button.textContent = label;
+        button.classList.toggle("selected", symbol === _brush);
+        button.onclick = () => {
+            _brush = symbol;
+            for (const other of palette.children) {
+                other.classList.toggle("selected", other === button);
+            }
+            if (symbol === _LINK_BRUSH) {
+                _setStatus("Click a switch then its bridges, or a teleporter then its 2 destinations");
+            } else {
+                _select(null);
+            }
+        };
+        palette.append(button);
+    }
+}
+
+/**
+ * Initialize event listeners for the editor panel buttons
+ */
+function _initEditorButtons() {
+    document.getElementById("editor-play-button").onclick = () => {
+        let data = _buildLevelData();
+        if (data === null || animationPlaying) {
+            return;
+        }
+        playSound("interface");
+        fadeOutIn(() => {
+            _playTesting = true;
+            _hideEditor();
+            playCustomLevel(data);
+        });
+    };
+
+    document.getElementById("editor-export-button").onclick = () => {
+        let data = _buildLevelData();
+        if (data === null) {
+            return;
+        }
+        // Download the level, ready to be pasted into the "levels" array of levels.json
+        let url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 4)], { type: "application/json" }));
+        let link = document.createElement("a");
+        link.href = url;
+        link.download = "level.json";
+        link.click();
+        URL.revokeObjectURL(url);
+        _setStatus(`Exported (par ${data.par})`);
+    };
+
+    document.getElementById("editor-share-button").onclick = async () => {
+        let data = _buildLevelData();
+        if (data === null) {
+            return;
+        }
+        try {
+            let copied = await copyShareLink(data);
+            _setStatus(copied ? "Share link copied" : "Share link ready");
+        } catch (error) {
+            _setStatus(`Could not share: ${error.message}`, true);
+        }
+    };
+
+    const importInput = document.getElementById("editor-import-input");
+    document.getElementById("editor-import-button").onclick = () => {
+        importInput.click();
+    };
+    importInput.onchange = async () => {
+        let file = importInput.files[0];
+        importInput.value = "";
+        if (file === undefined) {
+            return;
+        }
+        try {
+            let json = JSON.parse(await file.text());
+            // Accept a single level, or a whole level data file (its first level)
+            let data = validateLevel(Array.isArray(json.levels) ? json.levels[0] : json);
+            _loadIntoGrid(data);
+            _setStatus("Imported");
+        } catch (error) {
+            _setStatus(`Could not import: ${error.message}`, true);
+        }
+    };
+
+    document.getElementById("editor-music-button").onclick = () => {
+        // Default (null), then every track in turn
+        let choices = [null, ...MUSIC_TRACKS];
+        _music = choices[(choices.indexOf(_music) + 1) % choices.length];
+        _updateMusicButton();
+        playSound("interface");
+    };
+
+    document.getElementById("editor-clear-button").onclick = () => {
+        _grid = _emptyGrid();
+        _switches.clear();
+        _teleporters.clear();
+        _selected = null;
+        _redrawAll();
+        _setStatus("Cleared");
+    };
+
+    document.getElementById("editor-exit-button").onclick = () => {
+        if (animationPlaying) {
+            return;
+        }
+        _editorOpen = false;
+        _hideEditor();
+        resumeLastLevel();
+        showMainMenu();
+    };
+}
+
+/**
+ * Initialize pointer input on the canvas: click/drag to paint, drag the block start marker to move it
+ */
+function _initPointerInput() {
+    const canvas = document.getElementById("three-window");
+
+    canvas.addEventListener("pointerdown", (event) => {
+        if (!isEditing()) {
+            return;
+        }
+        let cell = _cellFromPointer(event);
+        if (cell === null) {
+            return;
+        }
+        if (_brush === _LINK_BRUSH) {
+            _link(cell);
+            return;
+        }
+        canvas.setPointerCapture(event.pointerId);
+        if (cell[0] === _start[0] && cell[1] === _start[1]) {
+            _dragMode = "start";
+        } else {
+            _dragMode = "paint";
+            _paint(cell);
+        }
+    });
+
+    canvas.addEventListener("pointermove", (event) => {
+        if (!isEditing() || _dragMode === null) {
+            return;
+        }
+        let cell = _cellFromPointer(event);
+        if (cell === null) {
+            return;
+        }
+        if (_dragMode === "start") {
+            _start = cell;
+            _redrawStart();
+        } else {
+            _paint(cell);
+        }
+    });
+
+    canvas.addEventListener("pointerup", () => {
+        _dragMode = null;
+    });
+}
+
+/**
+ * Gets the grid cell under the pointer
+ *
+ * @param {PointerEvent} event A pointer event on the canvas
+ * @returns {number[] | null} Cell [x, z], null if the pointer is not over the grid
+ */
+function _cellFromPointer(event) {
+    const canvas = event.target;
+    let rect = canvas.getBoundingClientRect();
+    let pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    let raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, _camera);
+    let hit = raycaster.ray.intersectPlane(new THREE.Plane(yAxis, 0), new THREE.Vector3());
+    if (hit === null) {
+        return null;
+    }
+
+    let x = Math.round(hit.x);
+    let z = Math.round(hit.z);
+    return x >= 0 && x < _GRID_SIZE && z >= 0 && z < _GRID_SIZE ? [x, z] : null;
+}
+
+/**
+ * Paint a cell with the current brush
+ * - There can only be one win tile, so painting a new one turns the old one into a normal tile
+ *
+ * @param {number[]} cell Cell [x, z]
+ */
+function _paint([x, z]) {
+    if (_grid[z][x] === _brush) {
+        return;
+    }
+    if (tileFromSymbol(_brush) === tileEnum.win) {
+        _grid.forEach((row, oldZ) => {
+            row.forEach((symbol, oldX) => {
+                if (tileFromSymbol(symbol) === tileEnum.win) {
+                    row[oldX] = "■";
+                    _redrawCell(oldX, oldZ);
+                }
+            });
+        });
+    }
+    _grid[z][x] = _brush;
+    _redrawCell(x, z);
+    _pruneLinks();
+}
+
+/**
+ * Link with the link brush: select a switch or teleporter, cycle the selected switch's action, link/unlink a bridge
+ * to the selected switch, or set a destination of the selected teleporter
+ *
+ * @param {number[]} cell Cell [x, z]
+ */
+function _link([x, z]) {
+    let key = `${x},${z}`;
+    let type = tileFromSymbol(_grid[z][x]);
+    let selectedSwitch = _switches.get(_selected);
+    let selectedTeleporter = _teleporters.get(_selected);
+
+    if (type === tileEnum.softSwitch || type === tileEnum.heavySwitch || type === tileEnum.teleporter) {
+        if (key !== _selected) {
+            _select(key);
+        } else if (selectedSwitch !== undefined) {
+            let next = (SWITCH_ACTIONS.indexOf(selectedSwitch.action) + 1) % SWITCH_ACTIONS.length;
+            selectedSwitch.action = SWITCH_ACTIONS[next];
+        }
+    } else if (type === tileEnum.bridge && selectedSwitch !== undefined) {
+        if (!selectedSwitch.bridges.delete(key)) {
+            selectedSwitch.bridges.add(key);
+        }
+    } else if (type !== undefined && selectedTeleporter !== undefined) {
+        // A teleporter has two destinations, a third replaces the oldest
+        let to = selectedTeleporter.to.filter((other) => other !== key);
+        selectedTeleporter.to = to.length === selectedTeleporter.to.length ? [...to, key].slice(-2) : to;
+    } else {
+        _select(null);
+        return;
+    }
+    _redrawLinks();
+
+    if (_switches.has(_selected)) {
+        let declared = _switches.get(_selected);
+        let bridges = declared.bridges.size;
+        _setStatus(`Switch (${_selected}): ${bridges} bridge(s), ${declared.action} (click it again to change)`);
+    } else {
+        let to = _teleporters.get(_selected).to.map((cell) => `(${cell})`);
+        _setStatus(`Teleporter (${_selected}): ${to.length}/2 destinations ${to.join(" & ")}`);
+    }
+}
+
+/**
+ * Select the switch or teleporter being linked, declaring it if it is new
+ *
+ * @param {string | null} key Cell key ("x,z") of the switch or teleporter, null to select none
+ */
+function _select(key) {
+    _selected = key;
+    if (key !== null && !_switches.has(key) && !_teleporters.has(key)) {
+        let [x, z] = key.split(",").map(Number);
+        if (tileFromSymbol(_grid[z][x]) === tileEnum.teleporter) {
+            _teleporters.set(key, { to: [] });
+        } else {
+            _switches.set(key, { bridges: new Set(), action: "toggle" });
+        }
+    }
+    _redrawLinks();
+}
+
+/**
+ * Forget switches, teleporters & links whose tiles have been painted over
+ */
+function _pruneLinks() {
+    let typeAt = (key) => {
+        let [x, z] = key.split(",").map(Number);
+        return tileFromSymbol(_grid[z][x]);
+    };
+    for (const [key, declared] of _switches) {
+        let type = typeAt(key);
+        if (type !== tileEnum.softSwitch && type !== tileEnum.heavySwitch) {
+            _switches.delete(key);
+            continue;
+        }
+        for (const bridge of declared.bridges) {
+            if (typeAt(bridge) !== tileEnum.bridge) {
+                declared.bridges.delete(bridge);
+            }
+        }
+    }
+    for (const [key, declared] of _teleporters) {
+        if (typeAt(key) !== tileEnum.teleporter) {
+            _teleporters.delete(key);
+            continue;
+        }
+        declared.to = declared.to.filter((cell) => typeAt(cell) !== undefined);
+    }
+    if (!_switches.has(_selected) && !_teleporters.has(_selected)) {
+        _selected = null;
+    }
+    _redrawLinks();
+}
+
+/**
+ * Replace the editor state with a level's data (positioned at the top left of the grid)
+ *
+ * @param {{layout: string[], start: number[], switches?: object[], teleporters?: object[]}} data Level data
+ * @throws {Error} If the level does not fit in the grid
+ */
+function _loadIntoGrid(data) {
+    let rows = data.layout.map((row) => Array.from(row));
+    if (rows.length > _GRID_SIZE || rows.some((row) => row.length > _GRID_SIZE)) {
+        throw new Error(`Level does not fit in the ${_GRID_SIZE}x${_GRID_SIZE} editor grid`);
+    }
+
+    _grid = _emptyGrid();
+    rows.forEach((row, z) => {
+        row.forEach((symbol, x) => {
+            _grid[z][x] = symbol;
+        });
+    });
+    _start = [...data.start];
+    _switches = new Map(
+        (data.switches ?? []).map(({ at, bridges, action = "toggle" }) => [
+            at.join(","),
+            { bridges: new Set(bridges.map((bridge) => bridge.join(","))), action: action },
+        ])
+    );
+    _teleporters = new Map(
+        (data.teleporters ?? []).map(({ at, to }) => [at.join(","), { to: to.map((cell) => cell.join(",")) }])
+    );
+    _selected = null;
+    _music = data.music ?? null;
+    _updateMusicButton();
+    _redrawAll();
+}
+
+/**
+ * Label the music button with the track picked for the level
+ */
+function _updateMusicButton() {
+    document.getElementById("editor-music-button").textContent = `MUSIC: ${(_music ?? "default").toUpperCase()}`;
+}
+
+/**
+ * Build level data from the editor state
+ * - The layout is cropped to the tiles placed & par is the solver's move count
+ * - Problems (invalid or unsolvable level) are shown in the editor status line
+ *
+ * @returns {{par: number, start: number[], layout: string[], switches?: object[], teleporters?: object[]} | null}
+ *  Level data, null if the level is not playable
+ */
+function _buildLevelData() {
+    // Bounding box of every placed tile
+    let cells = [];
+    _grid.forEach((row, z) => {
+        row.forEach((symbol, x) => {
+            if (symbol !== " ") {
+                cells.push([x, z]);
+            }
+        });
+    });
+    if (cells.length === 0) {
+        _setStatus("Invalid level: there are no tiles", true);
+        return null;
+    }
+    let minX = Math.min(...cells.map(([x]) => x));
+    let minZ = Math.min(...cells.map(([, z]) => z));
+    let maxZ = Math.max(...cells.map(([, z]) => z));
+
+    let data = {
+        par: 1, // placeholder until solved
+        start: [_start[0] - minX, _start[1] - minZ],
+        layout: _grid.slice(minZ, maxZ + 1).map((row) => row.slice(minX).join("").trimEnd()),
+    };
+
+    // Switches without any bridge do nothing, so they are left out
+    let crop = (key) => {
+        let [x, z] = key.split(",").map(Number);
+        return [x - minX, z - minZ];
+    };
+    let switches = [..._switches]
+        .filter(([, declared]) => declared.bridges.size > 0)
+        .map(([key, declared]) => ({
+            at: crop(key),
+            bridges: [...declared.bridges].map(crop),
+            action: declared.action,
+        }));
+    if (switches.length > 0) {
+        data.switches = switches;
+    }
+    // Teleporters without both destinations can't split the block, so they are left out too
+    let teleporters = [..._teleporters]
+        .filter(([, declared]) => declared.to.length === 2)
+        .map(([key, declared]) => ({ at: crop(key), to: declared.to.map(crop) }));
+    if (teleporters.length > 0) {
+        data.teleporters = teleporters;
+    }
+    if (_music !== null) {
+        data.music = _music;
+    }
+
+    try {
+        validateLevel(data);
+    } catch (error) {
+        _setStatus(`Invalid level: ${error.message}`, true);
+        return null;
+    }
+
+    let solution = solveLevel(data);
+    if (!solution.solvable) {
+        _setStatus("Invalid level: it can't be solved", true);
+        return null;
+    }
+    data.par = solution.moves;
+    return data;
+}
+
+/**
+ * Rebuild every editor mesh from the editor state
+ */
+function _redrawAll() {
+    for (let z = 0; z < _GRID_SIZE; z++) {
+        for (let x = 0; x < _GRID_SIZE; x++) {
+            _redrawCell(x, z);
+        }
+    }
+    _redrawStart();
+    _redrawLinks();
+}
+
+/**
+ * Rebuild the tile mesh of a cell from the editor state
+ *
+ * @param {number} x X cell
+ * @param {number} z Z cell
+ */
+function _redrawCell(x, z) {
+    let key = `${x},${z}`;
+    if (_tileMeshes.has(key)) {
+        // Each tile has its own geometry & material (the stone texture is shared, so it stays)
+        let old = _tileMeshes.get(key);
+        _editorGroup.remove(old);
+        old.geometry.dispose();
+        old.material.dispose();
+        _tileMeshes.delete(key);
+    }
+
+    let type = tileFromSymbol(_grid[z][x]);
+    if (type === undefined) {
+        return;
+    }
+    let color = type === tileEnum.win ? WIN_TILE_COLOR : Level.tileColor(x, z, type);
+    let tile = Level.createTile(x, z, color, _stoneTexture());
+    if (_grid[z][x] === RETRACTED_BRIDGE_SYMBOL) {
+        // Bridges that start retracted are see-through
+        tile.material.transparent = true;
+        tile.material.opacity = 0.4;
+    }
+    _tileMeshes.set(key, tile);
+    _editorGroup.add(tile);
+}
+
+/**
+ * Highlight the selected switch or teleporter & the cells linked to it
+ */
+function _redrawLinks() {
+    let linked = [];
+    if (_switches.has(_selected)) {
+        linked = [_selected, ..._switches.get(_selected).bridges];
+    } else if (_teleporters.has(_selected)) {
+        linked = [_selected, ..._teleporters.get(_selected).to];
+    }
+    for (const [key, tile] of _tileMeshes) {
+        tile.material.emissive.setHex(linked.includes(key) ? _LINK_COLOR : 0x000000);
+    }
+}
+
+/**
+ * Move the block start marker to the start cell in the editor state
+ */
+function _redrawStart() {
+    if (_startMarker === undefined) {
+        _startMarker = Level.createBlock(new BlockState(..._start));
+        _startMarker.material.transparent = true;
+        _startMarker.material.opacity = 0.7;
+        _editorGroup.add(_startMarker);
+    }
+    _startMarker.position.copy(blockMeshPosition(new BlockState(..._start)));
+}
+
+/**
+ * Gets the stone tile texture
+ *
+ * @returns {THREE.Texture} Stone texture
+ */
+function _stoneTexture() {
+    _stone ??= new THREE.TextureLoader().load("./src/assets/images/stone.png");
+    return _stone;
+}
+
+/**
+ * Gets an empty editor grid
+ *
+ * @returns {string[][]} Grid of empty cells
+ */
+function _emptyGrid() {
+    return Array.from({ length: _GRID_SIZE }, () => Array(_GRID_SIZE).fill(" "));
+}
+
+/**
+ * Show a message in the editor status line
+ *
+ * @param {string} message Message
+ * @param {boolean} isError Whether the message reports a problem
+ */
+function _setStatus(message, isError = false) {
+    const status = document.getElementById("editor-status");
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+    if (isError) {
+        playSound("error");
+    }
+}
+
+export { initEditor, openEditor, isEditing, isPlayTesting, stopPlayTest };
@@ -0,0 +1,225 @@
+/**
+ * Gamepad controls (Gamepad API, standard mapping), polled once per rendered frame
+ * - D-pad & left stick move the block (relative to the screen, like the touch controls), Start pauses, and while
+ *   paused the same directions move through the pause menu buttons, A presses one & B resumes
+ */
+
+import { isPaused, togglePause } from "./main.js";
+import { handleBlockMovement } from "./movement.js";
+import { isMenuOpen } from "./menu.js";
+import { isEditing, isPlayTesting, stopPlayTest } from "./editor.js";
+import { isReplaying } from "./replay.js";
+import { screenDirection } from "./touch.js";
+
+/**
+ * Button indices in the standard gamepad mapping
+ */
+const _BUTTONS = { a: 0, b: 1, start: 9, up: 12, down: 13, left: 14, right: 15 };
+
+/**
+ * How far the left stick must be pushed (0 to 1) before it counts as a direction
+ */
+const _DEAD_ZONE = 0.5;
+
+/**
+ * Time a direction must be held before it repeats, & time between repeats after that (ms)
+ */
+const _REPEAT_DELAY = 400;
+const _REPEAT_INTERVAL = 200;
+
+/**
+ * Renderer camera (shared with main.js)
+ */
+let _camera;
+
+/**
+ * Buttons pressed on the last poll, so a press is only acted on once
+ */
+let _previous = { a: false, b: false, start: false };
+
+/**
+ * Direction held on the last poll (dirEnum while playing, -1 / 1 through the pause menu), null if none
+ */
+let _held = null;
+
+/**
+ * Whether the game was paused on the last poll (a direction held across pausing or resuming counts as a new press)
+ */
+let _wasPaused = false;
+
+/**
+ * Time the held direction next repeats (ms)
+ */
+let _nextRepeat = 0;
+
+/**
+ * Index of the pause menu button picked with the gamepad, -1 if none
+ */
+let _focusIndex = -1;
+
+/**
+ * Initialize gamepad input
+ *
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ */
+function initGamepadInput(camera) {
+    _camera = camera;
+}
+
+/**
+ * Read every connected gamepad & act on what changed since the last poll
+ *
+ * @param {number} time Time of this frame (ms)
+ * @returns {void} Returns void & does nothing before gamepad input is initialized
+ */
+function pollGamepads(time) {
+    if (_camera === undefined || navigator.getGamepads === undefined) {
+        return;
+    }
+    let input = _readGamepads();
+    let pressed = (button) => input[button] && !_previous[button];
+
+    if (pressed("start")) {
+        _pressStart();
+    }
+
+    let paused = isPaused();
+    if (paused !== _wasPaused) {
+        _wasPaused = paused;
+        _held = null;
+    }
+    if (paused) {
+        if (pressed("a")) {
+            _pauseMenuButtons()[_focusIndex]?.click();
+        } else if (pressed("b")) {
+            togglePause();
+        }
+        // Up & left go back through the buttons, down & right go forward
+        let step = Math.abs(input.dx) > Math.abs(input.dy) ? Math.sign(input.dx) : Math.sign(input.dy);
+        _handleDirection(step === 0 ? null : step, time, _moveFocus);
+    } else {
+        _setFocus(-1);
+        let isMoving = input.dx !== 0 || input.dy !== 0;
+        _handleDirection(isMoving ? screenDirection(input.dx, input.dy, _camera) : null, time, _move);
+    }
+
+    _previous = input;
+}
+
+/**
+ * Combine the state of every connected gamepad
+ * - The D-pad wins over the left stick, & the first gamepad with a direction wins over the rest
+ *
+ * @returns {{a: boolean, b: boolean, start: boolean, dx: number, dy: number}} Buttons held & screen direction
+ *  (right & down are positive, 0 & 0 for none)
+ */
+function _readGamepads() {
+    let input = { a: false, b: false, start: false, dx: 0, dy: 0 };
+    for (const pad of navigator.getGamepads()) {
+        if (pad === null) {
+            continue;
+        }
+        let isPressed = (index) => pad.buttons[index]?.pressed === true;
+        input.a ||= isPressed(_BUTTONS.a);
+        input.b ||= isPressed(_BUTTONS.b);
+        input.start ||= isPressed(_BUTTONS.start);
+        if (input.dx !== 0 || input.dy !== 0) {
+            continue;
+        }
+
+        input.dx = isPressed(_BUTTONS.right) - isPressed(_BUTTONS.left);
+        input.dy = isPressed(_BUTTONS.down) - isPressed(_BUTTONS.up);
+        let [stickX = 0, stickY = 0] = pad.axes;
+        if (input.dx === 0 && input.dy === 0 && Math.hypot(stickX, stickY) >= _DEAD_ZONE) {
+            input.dx = stickX;
+            input.dy = stickY;
+        }
+    }
+    return input;
+}
+
+/**
+ * Act on a held direction once when it is first pressed, then again every so often for as long as it is held
+ *
+ * @param {number | null} direction Direction held, null if none
+ * @param {number} time Time of this frame (ms)
+ * @param {Function} action Called with the direction
+ */
+function _handleDirection(direction, time, action) {
+    if (direction === null) {
+        _held = null;
+        return;
+    }
+    if (direction !== _held) {
+        _held = direction;
+        _nextRepeat = time + _REPEAT_DELAY;
+        action(direction);
+    } else if (time >= _nextRepeat) {
+        _nextRepeat = time + _REPEAT_INTERVAL;
+        action(direction);
+    }
+}
+
+/**
+ * Pause or resume, like Escape (which goes back to the editor while play-testing)
+ *
+ * @returns {void} Returns void & does nothing while a menu or the editor is open
+ */
+function _pressStart() {
+    if (isMenuOpen() || isEditing()) {
+        return;
+    }
+    if (isPlayTesting()) {
+        stopPlayTest();
+    } else {
+        togglePause();
+    }
+}
+
+/**
+ * Move the block from the gamepad, unless the game isn't taking moves from the player
+ *
+ * @param {number} rotDir Direction block will rotate
+ */
+function _move(rotDir) {
+    if (isMenuOpen() || isEditing() || isReplaying()) {
+        return;
+    }
+    handleBlockMovement(rotDir, _camera);
+}
+
+/**
+ * Gets the pause menu buttons the gamepad can pick, in page order
+ *
+ * @returns {HTMLButtonElement[]} Pause menu buttons
+ */
+function _pauseMenuButtons() {
+    return [...document.querySelectorAll("#pause-window button")].filter((button) => !button.disabled);
+}
+
+/**
+ * Pick the next or previous pause menu button (the first one if none is picked yet)
+ *
+ * @param {-1 | 1} step Direction to move through the buttons
+ */
+function _moveFocus(step) {
+    let count = _pauseMenuButtons().length;
+    _setFocus(_focusIndex === -1 ? 0 : (_focusIndex + step + count) % count);
+}
+
+/**
+ * Highlight the pause menu button picked with the gamepad
+ *
+ * @param {number} index Index of the button to pick, -1 for none
+ */
+function _setFocus(index) {
+    if (index === _focusIndex) {
+        return;
+    }
+    _focusIndex = index;
+    _pauseMenuButtons().forEach((button, i) => {
+        button.classList.toggle("gamepad-focus", i === index);
+    });
+}
+
+export { initGamepadInput, pollGamepads };
@@ -0,0 +1,56 @@
+import { level } from "./main.js";
+import { SWITCH_CUBE, solve } from "./solver.js";
+import { animationPlaying } from "./animations.js";
+import { playSound } from "./audio.js";
+
+/**
+ * Emissive color used to highlight hinted tiles
+ */
+const _HINT_COLOR = 0x66ff66;
+
+/**
+ * Tiles currently highlighted by a hint, with the state needed to restore them
+ */
+let _hintedTiles = [];
+
+/**
+ * Highlight the tile(s) the block would land on after the next optimal move
+ *
+ * @returns {void} Returns void & does nothing if an animation is playing or a hint is already showing
+ */
+function showHint() {
+    if (animationPlaying || _hintedTiles.length > 0) {
+        return;
+    }
+
+    let solution = solve(level.boardState, level.state);
+    if (!solution.solvable || solution.moves === 0) {
+        playSound("error");
+        return;
+    }
+
+    // Cells covered by the block (or cube) after the first move of an optimal path
+    let [step, nextStep] = solution.path;
+    let cells = step === SWITCH_CUBE ? level.state.switched().rolled(nextStep).cells : level.state.rolled(step).cells;
+    for (const cell of cells) {
+        let tile = level.tileAt(cell.x, cell.z);
+        _hintedTiles.push({ tile: tile, visible: tile.visible, emissive: tile.material.emissive.getHex() });
+        // The winning tile is a hole, so reveal it while hinted
+        tile.visible = true;
+        tile.material.emissive.setHex(_HINT_COLOR);
+    }
+    playSound("interface");
+}
+
+/**
+ * Remove the current hint highlight (if any)
+ */
+function hideHint() {
+    for (const { tile, visible, emissive } of _hintedTiles) {
+        tile.visible = visible;
+        tile.material.emissive.setHex(emissive);
+    }
+    _hintedTiles = [];
+}
+
+export { showHint, hideHint };
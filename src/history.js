@@ -0,0 +1,79 @@
+/**
+ * Undo/redo stacks of the moves made in a level
+ * - A move is { dir, from, to }: the direction rolled & the game states (block & bridges) before and after it
+ */
+class MoveHistory {
+    /**
+     * Moves that can be undone (most recent last)
+     */
+    #undoStack = [];
+
+    /**
+     * Moves that can be redone (most recently undone last)
+     */
+    #redoStack = [];
+
+    /**
+     * Gets whether there is a move to undo
+     *
+     * @returns {boolean} Whether there is a move to undo
+     */
+    get canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * Gets whether there is a move to redo
+     *
+     * @returns {boolean} Whether there is a move to redo
+     */
+    get canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Record a new move; a new move invalidates everything that could have been redone
+     *
+     * @param {{dir: number, from: GameState, to: GameState}} move The move made
+     */
+    push(move) {
+        this.#undoStack.push(move);
+        this.#redoStack = [];
+    }
+
+    /**
+     * Take the most recent move off the undo stack
+     *
+     * @returns {{dir: number, from: GameState, to: GameState} | undefined} The move to undo, if any
+     */
+    undo() {
+        let move = this.#undoStack.pop();
+        if (move !== undefined) {
+            this.#redoStack.push(move);
+        }
+        return move;
+    }
+
+    /**
+     * Take the most recently undone move off the redo stack
+     *
+     * @returns {{dir: number, from: GameState, to: GameState} | undefined} The move to redo, if any
+     */
+    redo() {
+        let move = this.#redoStack.pop();
+        if (move !== undefined) {
+            this.#undoStack.push(move);
+        }
+        return move;
+    }
+
+    /**
+     * Forget every recorded move
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+}
+
+export { MoveHistory };
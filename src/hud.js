@@ -0,0 +1,50 @@
+import { level } from "./main.js";
+import { starRating } from "./score.js";
+import { formatTime } from "./utils.js";
+import { speedrunReadout } from "./speedrun.js";
+
+/**
+ * Refresh the level, move counter & par readouts of the HUD
+ */
+function updateHud() {
+    document.getElementById("hud-level").textContent = level.isCustom ? "CUSTOM LEVEL" : `LEVEL ${level.levelNum + 1}`;
+    document.getElementById("hud-moves").textContent = `MOVES ${level.moves}`;
+    document.getElementById("hud-par").textContent = `PAR ${level.par}`;
+}
+
+/**
+ * Refresh the level timer & speedrun readouts of the HUD
+ * - Called every frame, since the timers run between moves
+ *
+ * @returns {void} Returns void & does nothing before a level is loaded
+ */
+function updateHudTimers() {
+    if (level === undefined) {
+        return;
+    }
+    document.getElementById("hud-time").textContent = formatTime(level.elapsed);
+    const run = document.getElementById("hud-run");
+    let readout = speedrunReadout();
+    run.textContent = readout ?? "";
+    run.style.display = readout === null ? "none" : "";
+}
+
+/**
+ * Show the end-of-level result (move count against par & star rating)
+ */
+function showResult() {
+    let stars = starRating(level.moves, level.par);
+    document.getElementById("result-stars").textContent = "★".repeat(stars) + "☆".repeat(3 - stars);
+    document.getElementById("result-text").textContent = `${level.moves} MOVES / PAR ${level.par}`;
+    document.getElementById("result-time").textContent = formatTime(level.elapsed);
+    document.getElementById("result-window-box").style.visibility = "visible";
+}
+
+/**
+ * Hide the end-of-level result
+ */
+function hideResult() {
+    document.getElementById("result-window-box").style.visibility = "hidden";
+}
+
+export { updateHud, updateHudTimers, showResult, hideResult };
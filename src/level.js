@@ -1,17 +1,40 @@
 import * as THREE from "three";
-import { getBlockPos, Vector2XZ } from "./utils.js";
+import { blockMeshPosition, snapBlockMesh, snapCubeMesh } from "./utils.js";
+import { BlockState, GameState, BoardState, tileEnum, Vector2XZ } from "./state.js";
+import { MoveHistory } from "./history.js";
+import { levelCount, getLevelData, validateLevel } from "./levelData.js";
+
+/**
+ * Level number given to levels built from custom data (editor, share codes) rather than loaded level data
+ */
+export const CUSTOM_LEVEL = -1;
+
+/**
+ * Color the win tile is drawn in off the board (editor, thumbnails), where it isn't a hole
+ */
+export const WIN_TILE_COLOR = 0x121212;
+
+/**
+ * Emissive color of the cube that moves next while the block is split
+ */
+const _ACTIVE_CUBE_COLOR = 0x333333;
 
 export class Level {
     /**
-     * Total levels
+     * Total levels (number of the last level)
      */
-    #totalLevels = _LEVELS;
+    #totalLevels = levelCount() - 1;
 
     /**
      * Level number
      */
     #levelNum;
 
+    /**
+     * Level data the level was built from
+     */
+    #data;
+
     /**
      * Board object
      */
@@ -23,25 +46,74 @@ export class Level {
     #block;
 
     /**
-     * Block position (one or two vectors depending on orientation)
-     * - Only updates when getter is called
+     * Cube objects the block splits into on a teleporter (hidden until then)
+     */
+    #cubes;
+
+    /**
+     * Logical board state (tile cells & types, switch links)
      */
-    #blockPos;
+    #boardState;
 
     /**
-     * Winning tile object
+     * Logical game state (block cell & orientation, extended bridges); the meshes only draw this
      */
-    #winTile;
+    #state;
+
+    /**
+     * Bridge tile objects (indexed like BoardState.bridges)
+     */
+    #bridgeTiles = [];
+
+    /**
+     * Map of cell keys ("x,z") to tile objects
+     */
+    #tileMap = new Map();
+
+    /**
+     * Undo/redo history of the moves made in this level
+     */
+    #history = new MoveHistory();
+
+    /**
+     * Number of successful moves made in this level (an undone move is taken back, a redone one counted again)
+     */
+    #moves = 0;
+
+    /**
+     * Par move count
+     */
+    #par;
+
+    /**
+     * Time the first move was made (ms, performance.now()), null until then
+     */
+    #startTime = null;
+
+    /**
+     * Time the level was won (ms, performance.now()), null until then
+     */
+    #endTime = null;
 
     /**
      * Instantiates a new level
      *
-     * @param {number} levelNum The level to be instantiated
+     * @param {number} levelNum The level to be instantiated (CUSTOM_LEVEL for custom data)
+     * @param {{layout: string[], start: number[], par: number, switches?: object[], teleporters?: object[]}} data
+     *  Level data, the loaded data of levelNum by default
+     * @throws {LevelDataError} If the level data is invalid
      */
-    constructor(levelNum) {
+    constructor(levelNum, data = getLevelData(levelNum)) {
+        validateLevel(data, levelNum === CUSTOM_LEVEL ? null : levelNum);
         this.#levelNum = levelNum;
-        this.#board = this.#boardFromLayout(_LAYOUTS[levelNum]);
-        this.#block = this.#createBlock(_BLOCK_POSITIONS[levelNum]);
+        this.#data = data;
+        this.#par = data.par;
+        this.#boardState = new BoardState(data.layout, data.switches, data.teleporters);
+        this.#state = this.#boardState.initialState(data.start);
+        this.#board = this.#boardFromState(this.#boardState);
+        this.#block = Level.createBlock(this.#state.block);
+        this.#cubes = [Level.createCube(), Level.createCube()];
+        this.snapPieces();
     }
 
     /**
@@ -62,6 +134,24 @@ export class Level {
         return this.#levelNum;
     }
 
+    /**
+     * Gets level data
+     *
+     * @returns {{layout: string[], start: number[], par: number}} Level data
+     */
+    get data() {
+        return this.#data;
+    }
+
+    /**
+     * Gets whether the level was built from custom data rather than loaded level data
+     *
+     * @returns {boolean} Whether the level is custom
+     */
+    get isCustom() {
+        return this.#levelNum === CUSTOM_LEVEL;
+    }
+
     /**
      * Gets board object
      *
@@ -81,53 +171,218 @@ export class Level {
     }
 
     /**
-     * Gets updated block position
+     * Gets cube objects
+     *
+     * @returns {THREE.Mesh[]} Cube objects (indexed like GameState.cubes)
+     */
+    get cubes() {
+        return this.#cubes;
+    }
+
+    /**
+     * Gets every object that can move: the block & both cubes (only the ones in play are visible)
+     *
+     * @returns {THREE.Mesh[]} Block & cube objects
+     */
+    get pieces() {
+        return [this.#block, ...this.#cubes];
+    }
+
+    /**
+     * Gets the object that moves next: the block, or the active cube while split
+     *
+     * @returns {THREE.Mesh} Block or cube object
+     */
+    get activePiece() {
+        return this.#state.isSplit ? this.#cubes[this.#state.active] : this.#block;
+    }
+
+    /**
+     * Gets board state
+     *
+     * @returns {BoardState} Board state
+     */
+    get boardState() {
+        return this.#boardState;
+    }
+
+    /**
+     * Gets game state
+     *
+     * @returns {GameState} Game state
+     */
+    get state() {
+        return this.#state;
+    }
+
+    /**
+     * Sets game state & snaps the block & cube meshes onto it
+     * - Bridge objects are left to animateRotation(), which animates them to the new state
+     *
+     * @param {GameState} state New game state
+     */
+    set state(state) {
+        this.#state = state;
+        this.snapPieces();
+    }
+
+    /**
+     * Gets bridge tile objects
+     *
+     * @returns {THREE.Mesh[]} Bridge tile objects (indexed like BoardState.bridges)
+     */
+    get bridgeTiles() {
+        return this.#bridgeTiles;
+    }
+
+    /**
+     * Gets move history
+     *
+     * @returns {MoveHistory} Move history
+     */
+    get history() {
+        return this.#history;
+    }
+
+    /**
+     * Gets number of successful moves made
      *
-     * @returns {Vector2XZ[]} Block position (one or two vectors depending on orientation)
+     * @returns {number} Move count
      */
-    get blockPos() {
-        this.#blockPos = getBlockPos(this.#block);
-        return this.#blockPos;
+    get moves() {
+        return this.#moves;
     }
 
     /**
-     * Gets winning tile object
+     * Gets par move count
      *
-     * @returns {THREE.Mesh} Winning tile object
+     * @returns {number} Par move count
      */
-    get winTile() {
-        return this.#winTile;
+    get par() {
+        return this.#par;
     }
 
     /**
-     * Creates a board from a layout
+     * Gets time spent on the level, from the first move until the win
      *
-     * @param {string[][]} layout A layout (2D array representing positions of tiles on a board)
+     * @returns {number} Elapsed time (ms), 0 before the first move
+     */
+    get elapsed() {
+        if (this.#startTime === null) {
+            return 0;
+        }
+        return (this.#endTime ?? performance.now()) - this.#startTime;
+    }
+
+    /**
+     * Start the level timer (does nothing if it is already running)
+     */
+    startTimer() {
+        this.#startTime ??= performance.now();
+    }
+
+    /**
+     * Stop the level timer
+     */
+    stopTimer() {
+        this.#endTime ??= performance.now();
+    }
+
+    /**
+     * Count one successful move
+     */
+    countMove() {
+        this.#moves++;
+    }
+
+    /**
+     * Take back one counted move (it was undone)
+     */
+    uncountMove() {
+        this.#moves--;
+    }
+
+    /**
+     * Gets the tile object at a cell
+     *
+     * @param {number} x X cell
+     * @param {number} z Z cell
+     * @returns {THREE.Mesh | undefined} Tile object, undefined if there is no tile
+     */
+    tileAt(x, z) {
+        return this.#tileMap.get(`${x},${z}`);
+    }
+
+    /**
+     * Snap the block & cube meshes onto the game state, showing only the ones in play
+     */
+    snapPieces() {
+        let state = this.#state;
+        this.#block.visible = !state.isSplit;
+        if (!state.isSplit) {
+            snapBlockMesh(this.#block, state.block);
+        }
+        this.#cubes.forEach((cube, i) => {
+            cube.visible = state.isSplit;
+            if (state.isSplit) {
+                snapCubeMesh(cube, state.cubes[i]);
+                cube.material.emissive.setHex(i === state.active ? _ACTIVE_CUBE_COLOR : 0x000000);
+            }
+        });
+    }
+
+    /**
+     * Creates a board from a board state
+     *
+     * @param {BoardState} boardState A board state
      * @returns {THREE.Mesh[]} A Board (array of tiles)
      */
-    #boardFromLayout(layout) {
+    #boardFromState(boardState) {
         let board = [];
-        let color = 0xffffff;
         const stone = new THREE.TextureLoader().load("./src/assets/images/stone.png");
 
-        for (let i = 0; i < layout.length; i++) {
-            for (let j = 0; j < layout[i].length; j++) {
-                if (layout[i][j] !== " ") {
-                    color = (i + j) % 2 == 0 ? 0xc4c2be : 0xa384cc; // checkerboard pattern logic
-                    if (layout[i][j] === "■") {
-                        board.push(this.#createTile(j, i, color, stone));
-                    } else if (layout[i][j] === "□") {
-                        let hole = this.#createTile(j, i, color, stone);
-                        hole.visible = false;
-                        this.#winTile = hole;
-                        board.push(hole);
-                    }
-                }
+        for (const { pos, type } of boardState.tiles) {
+            let tile = Level.createTile(pos.x, pos.z, Level.tileColor(pos.x, pos.z, type), stone);
+            // The win tile is a hole in the board
+            if (type === tileEnum.win) {
+                tile.visible = false;
             }
+            this.#tileMap.set(`${pos.x},${pos.z}`, tile);
+            board.push(tile);
         }
+
+        // Retracted bridges are folded away until a switch extends them
+        this.#bridgeTiles = boardState.bridges.map((pos) => this.tileAt(pos.x, pos.z));
+        this.#bridgeTiles.forEach((tile, i) => {
+            Level.setBridgeExtension(tile, this.#state.bridges[i] ? 1 : 0);
+        });
         return board;
     }
 
+    /**
+     * Gets the color of a tile
+     *
+     * @param {number} x Tile X position
+     * @param {number} z Tile Z position
+     * @param {number} type Tile type (tileEnum)
+     * @returns {number} Tile color
+     */
+    static tileColor(x, z, type = tileEnum.normal) {
+        switch (type) {
+            case tileEnum.fragile:
+                return 0xe3a857;
+            case tileEnum.softSwitch:
+                return 0x7cc98a;
+            case tileEnum.heavySwitch:
+                return 0x5a8fd6;
+            case tileEnum.bridge:
+                return 0x8a8884;
+            case tileEnum.teleporter:
+                return 0xc86ad6;
+        }
+        return (x + z) % 2 == 0 ? 0xc4c2be : 0xa384cc; // checkerboard pattern logic
+    }
+
     /**
      * Creates a board tile
      *
@@ -137,7 +392,7 @@ export class Level {
      * @param {THREE.Texture} texture Tile texture
      * @returns {THREE.Mesh} Tile
      */
-    #createTile(x, z, color, texture) {
+    static createTile(x, z, color, texture) {
         const tile = new THREE.Mesh(
             new THREE.BoxGeometry(1, 0.2, 1),
             new THREE.MeshStandardMaterial({
@@ -151,13 +406,24 @@ export class Level {
         return tile;
     }
 
+    /**
+     * Fold a bridge tile in or out: it shrinks towards its center as it retracts
+     *
+     * @param {THREE.Mesh} tile Bridge tile object
+     * @param {number} extension How far the bridge is extended, from 0 (retracted) to 1 (extended)
+     */
+    static setBridgeExtension(tile, extension) {
+        tile.scale.set(extension, 1, extension);
+        tile.visible = extension > 0;
+    }
+
     /**
      * Creates a block object
      *
-     * @param {number[]} position Initial X and Z position of block
+     * @param {BlockState} blockState Initial block state
      * @returns {THREE.Mesh} Block object
      */
-    #createBlock(position) {
+    static createBlock(blockState) {
         const woodPlank = new THREE.TextureLoader().load("./src/assets/images/wood.png");
 
         const block = new THREE.Mesh(
@@ -169,229 +435,26 @@ export class Level {
                 // wireframe: true,
             })
         );
-        block.position.y = 1;
-        block.position.x = position[0];
-        block.position.z = position[1];
+        block.position.copy(blockMeshPosition(blockState));
         // block.add(new THREE.AxesHelper(2));
         return block;
     }
-}
-
-/// /// /// /// /// /// /// /// ///
-///                             ///
-///         LEVEL DATA          ///
-///                             ///
-/// /// /// /// /// /// /// /// ///
 
-/**
- * Total levels
- */
-const _LEVELS = 11;
-
-/**
- * Array of initial block positions (X,Z position)
- */
-const _BLOCK_POSITIONS = [
-    [5, 1], // level 0
-    [1, 1], // level 1
-    [1, 1], // level 2
-    [3, 0], // level 3
-    [1, 0], // level 4
-    [0, 0], // level 5
-    [1, 3], // level 6
-    [13, 3], // level 7
-    [0, 3], // level 8
-    [2, 7], // level 9
-    [0, 5], // level 10
-    [9, 14], // level 11
-];
+    /**
+     * Creates a cube object (half of a split block)
+     *
+     * @returns {THREE.Mesh} Cube object
+     */
+    static createCube() {
+        const woodPlank = new THREE.TextureLoader().load("./src/assets/images/wood.png");
 
-/**
- * Array of layouts (2D arrays representing positions of tiles on a board)
- */
-const _LAYOUTS = [
-    // level 0
-    [
-        [" ", " ", "■", "■", "■", "■", "■"],
-        [" ", " ", "■", "■", "■", "■", "■"],
-        [" ", " ", "■", "■", "■", "■", "■"],
-        [" ", "■", "■", "■", "■", "■", " "],
-        [" ", "■", "■", "■", "■", "■", " "],
-        [" ", "■", "■", "■", "■", "■", " "],
-        ["■", "■", "■", "■", "■", " ", " "],
-        ["■", "□", "■", "■", "■", " ", " "],
-        ["■", "■", "■", "■", "■", " ", " "],
-    ],
-
-    // level 1
-    [
-        ["■", "■", "■", "■", "■", " ", "■", "■", "■", "■", "■"],
-        ["■", "■", "■", "■", "■", " ", "■", "■", "□", "■", "■"],
-        [" ", "■", "■", "■", " ", " ", " ", "■", "■", "■", " "],
-        [" ", "■", "■", "■", " ", " ", " ", "■", "■", "■", " "],
-        [" ", "■", "■", "■", " ", " ", " ", "■", "■", "■", " "],
-        [" ", "■", "■", "■", "■", " ", "■", "■", "■", "■", " "],
-        [" ", " ", " ", "■", "■", "■", "■", "■", " ", " ", " "],
-        [" ", " ", " ", " ", "■", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", "■", " ", " ", " ", " ", " "],
-    ],
-
-    // level 2
-    [
-        [" ", "■", "■", " ", " "],
-        ["■", "■", "■", "■", " "],
-        ["■", "■", "□", "■", "■"],
-        [" ", "■", "■", "■", "■"],
-        [" ", " ", "■", "■", " "],
-    ],
-
-    // level 3
-    [
-        ["■", "■", "■", "■", "■", " ", " ", " "],
-        ["■", "■", "■", "■", " ", " ", " ", " "],
-        ["■", "■", "■", " ", " ", "■", "■", "■"],
-        ["■", "■", " ", " ", " ", "■", "□", "■"],
-        ["■", "■", "■", "■", "■", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", "■", "■", "■"],
-    ],
-
-    // level 4
-    [
-        [" ", "■", "■", "■", "■"],
-        [" ", " ", " ", " ", "■"],
-        ["■", "■", "■", " ", "■"],
-        ["■", "■", "■", "■", "■"],
-        ["■", "□", "■", " ", " "],
-        ["■", "■", "■", " ", " "],
-    ],
-
-    // level 5
-    [
-        ["■", "■", "■", " ", " ", " "],
-        ["■", "■", "■", " ", " ", " "],
-        ["■", "■", "■", "■", "■", " "],
-        [" ", " ", " ", "■", "■", " "],
-        ["■", "■", "■", "■", "■", " "],
-        ["■", "■", "■", " ", " ", " "],
-        ["■", "■", "■", "■", "■", "■"],
-        [" ", " ", " ", "■", "□", "■"],
-        [" ", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", "■", "■"],
-    ],
-
-    // level 6
-    [
-        [" ", " ", " ", " ", " ", " ", "■", "■", "■", "■", "■", "■", "■", " ", " "],
-        ["■", "■", "■", "■", " ", " ", "■", "■", " ", " ", " ", "■", "■", " ", " "],
-        ["■", "■", "■", "■", "■", "■", "■", "■", "■", " ", " ", "■", "■", "■", "■"],
-        ["■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", "■", "■", "□", "■"],
-        ["■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-    ],
-
-    // level 7
-    [
-        [" ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■", " ", " ", " "],
-        ["■", "■", "■", " ", " ", " ", " ", "■", "■", " ", " ", "■", "■", "■", "■"],
-        ["■", "□", "■", " ", " ", " ", " ", "■", "■", " ", " ", " ", "■", "■", "■"],
-        ["■", "■", "■", " ", " ", " ", "■", "■", "■", " ", " ", " ", "■", "■", "■"],
-        ["■", "■", "■", " ", " ", " ", "■", "■", "■", " ", " ", " ", "■", "■", "■"],
-        [" ", "■", "■", "■", " ", " ", " ", "■", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", "■", "■", "■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " "],
-    ],
-
-    // level 8
-    [
-        [" ", " ", " ", " ", " ", "■", "■", "■", "■", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", "■", " ", " ", "■", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", "■", " ", " ", "■", "■", "■", "■", "■", " ", " "],
-        ["■", "■", "■", "■", "■", "■", " ", " ", " ", " ", " ", "■", "■", "■", "■"],
-        [" ", " ", " ", " ", "■", "■", "■", " ", " ", " ", " ", "■", "■", "□", "■"],
-        [" ", " ", " ", " ", "■", "■", "■", " ", " ", " ", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", " ", "■", " ", " ", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", "■", "■", "■", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", "■", "■", "■", "■", "■", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", "■", "■", "■", " ", " ", " ", " ", " "],
-    ],
-
-    // level 9
-    [
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■", " "],
-        ["■", "■", "■", "■", "■", "■", "■", "■", "■", "■", "■", "■", "□", "■", " "],
-        ["■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", " "],
-        ["■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", "■", "■", "■", "■", "■", "■", "■", "■", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■", "■", "■", "■", "■"],
-        [" ", "■", "■", "■", "■", " ", " ", " ", " ", " ", "■", "■", "■", "■", "■"],
-        [" ", "■", "■", "■", "■", "■", "■", "■", "■", "■", "■", " ", " ", " ", " "],
-        [" ", "■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-    ],
-
-    // level 10
-    [
-        [" ", "■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " "],
-        [" ", "■", "□", "■", "■", " ", " ", " ", " ", " ", " ", " "],
-        [" ", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", "■", " ", " ", " ", "■", "■", "■", "■", "■", "■", " "],
-        [" ", "■", " ", " ", " ", "■", "■", " ", " ", "■", "■", " "],
-        ["■", "■", "■", "■", "■", "■", "■", " ", " ", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", "■", " ", " ", " ", " ", " ", "■"],
-        [" ", " ", " ", " ", " ", "■", "■", "■", "■", " ", " ", "■"],
-        [" ", " ", " ", " ", " ", "■", "■", "■", "■", "■", "■", "■"],
-        [" ", " ", " ", " ", " ", " ", " ", " ", "■", "■", "■", " "],
-    ],
-
-    // level 11
-    [
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", "■", "■", "■", "■", " ", "■", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", "■", "■", "■", "■", "■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", "■", " ", " ", "■", "■", "■", "■", "■", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", "■", " ", " ", " ", " ", "■", " ", "■", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", "■", " ", " ", " ", " ", " ", " ", "■", "■", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", "■", " ", " ", " ", " ", "■", " ", " ", " ", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", "■", " ", " ", " ", "■", "■", "■", " ", " ", " ", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", "■", "■", " ", "■", "■", "□", "■", "■", " ", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", "■", " ", " ", " ", "■", "■", "■", " ", " ", " ", "■", "■", "■", " ", " ", " "],
-        [" ", " ", " ", " ", "■", "■", "■", " ", " ", "■", " ", " ", "■", "■", "■", "■", "■", " ", " ", " "],
-        [" ", " ", " ", "■", "■", "■", "■", " ", " ", "■", " ", " ", "■", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", "■", "■", "■", " ", " ", "■", " ", " ", " ", " ", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", " ", " ", " ", " ", "■", "■", "■", " ", " ", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", "■", "■", "■", "■", "■", "■", "■", "■", " ", " ", "■", "■", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", "■", " ", "■", "■", "■", "■", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-        [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-    ],
-];
-
-// // 20x20 template
-// [
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-//     [" ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " ", " "],
-// ];
+        return new THREE.Mesh(
+            new THREE.BoxGeometry(1, 1, 1),
+            new THREE.MeshStandardMaterial({
+                color: 0x999999,
+                map: woodPlank,
+                clippingPlanes: [new THREE.Plane(new THREE.Vector3(0, 1, 0), 0.2)],
+            })
+        );
+    }
+}
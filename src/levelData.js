@@ -0,0 +1,280 @@
+/**
+ * Loading & validation of level data files (format documented in src/assets/levels/README.md)
+ * - Has no three.js or DOM dependency beyond fetch, so data can also be validated in Node
+ */
+
+import { tileEnum, tileFromSymbol, SWITCH_ACTIONS, RETRACTED_BRIDGE_SYMBOL } from "./state.js";
+
+/**
+ * Path of the bundled level data file
+ */
+const LEVELS_URL = "./src/assets/levels/levels.json";
+
+/**
+ * Music tracks a level can pick (see music.js)
+ */
+const MUSIC_TRACKS = ["dawn", "drift", "depths"];
+
+/**
+ * Thrown when level data is malformed or describes an unplayable level
+ */
+class LevelDataError extends Error {
+    /**
+     * @param {number | null} levelNum Index of the offending level in the data file, null if not level specific
+     * @param {string} message What is wrong with the data
+     */
+    constructor(levelNum, message) {
+        super(levelNum === null ? message : `Level ${levelNum}: ${message}`);
+        this.name = "LevelDataError";
+        this.levelNum = levelNum;
+    }
+}
+
+/**
+ * Loaded levels
+ */
+let _levels = [];
+
+/**
+ * Fetch, parse & validate a level data file, replacing any previously loaded levels
+ *
+ * @param {string} url Level data file url
+ * @returns {Promise<void>} Resolves once the levels are loaded
+ * @throws {LevelDataError} If the file can't be fetched or any level in it is invalid
+ */
+async function loadLevels(url = LEVELS_URL) {
+    let response = await fetch(url);
+    if (!response.ok) {
+        throw new LevelDataError(null, `Could not fetch ${url} (${response.status})`);
+    }
+    _levels = parseLevels(await response.json());
+}
+
+/**
+ * Validate the contents of a level data file
+ * - Every level is checked, so one error lists every problem in the file
+ *
+ * @param {{levels: object[]}} json Parsed level data file
+ * @returns {{layout: string[], start: number[], par: number}[]} Validated levels
+ * @throws {LevelDataError} If any level is invalid
+ */
+function parseLevels(json) {
+    if (!json || !Array.isArray(json.levels) || json.levels.length === 0) {
+        throw new LevelDataError(null, `Level data must be an object with a non-empty "levels" array`);
+    }
+
+    let levels = [];
+    let problems = [];
+    json.levels.forEach((data, levelNum) => {
+        try {
+            levels.push(validateLevel(data, levelNum));
+        } catch (error) {
+            if (!(error instanceof LevelDataError)) {
+                throw error;
+            }
+            problems.push(error.message);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new LevelDataError(null, `Invalid level data:\n${problems.join("\n")}`);
+    }
+    return levels;
+}
+
+/**
+ * Validate the data of a single level
+ *
+ * @param {{layout: string[], start: number[], par: number, switches?: object[], teleporters?: object[],
+ *  music?: string}} data Level data as stored in a data file
+ * @param {number | null} levelNum Index of the level in the data file (used in error messages)
+ * @returns {{layout: string[], start: number[], par: number}} The same level data
+ * @throws {LevelDataError} If the level is invalid
+ */
+function validateLevel(data, levelNum = null) {
+    if (!data || typeof data !== "object") {
+        throw new LevelDataError(levelNum, "must be an object");
+    }
+    if (!Array.isArray(data.layout) || data.layout.length === 0 || !data.layout.every((row) => typeof row === "string")) {
+        throw new LevelDataError(levelNum, `"layout" must be a non-empty array of strings`);
+    }
+    if (!Array.isArray(data.start) || data.start.length !== 2 || !data.start.every(Number.isInteger)) {
+        throw new LevelDataError(levelNum, `"start" must be an [x, z] pair of integers`);
+    }
+    if (!Number.isInteger(data.par) || data.par < 1) {
+        throw new LevelDataError(levelNum, `"par" must be a positive integer`);
+    }
+
+    // Rows are Z, columns are X
+    let layout = data.layout.map((row) => Array.from(row));
+    let winTiles = [];
+    layout.forEach((row, z) => {
+        row.forEach((symbol, x) => {
+            if (symbol === " ") {
+                return;
+            }
+            let type = tileFromSymbol(symbol);
+            if (type === undefined) {
+                throw new LevelDataError(levelNum, `unknown tile symbol "${symbol}" at (${x}, ${z})`);
+            }
+            if (type === tileEnum.win) {
+                winTiles.push(`(${x}, ${z})`);
+            }
+        });
+    });
+
+    if (winTiles.length === 0) {
+        throw new LevelDataError(levelNum, "has no win tile");
+    }
+    if (winTiles.length > 1) {
+        throw new LevelDataError(levelNum, `has ${winTiles.length} win tiles, at ${winTiles.join(", ")}`);
+    }
+
+    let [x, z] = data.start;
+    let startSymbol = layout[z]?.[x];
+    if (startSymbol === undefined || startSymbol === " ") {
+        throw new LevelDataError(levelNum, `start position (${x}, ${z}) is off the board`);
+    }
+    if (tileFromSymbol(startSymbol) === tileEnum.win) {
+        throw new LevelDataError(levelNum, `start position (${x}, ${z}) is on the win tile`);
+    }
+    if (tileFromSymbol(startSymbol) === tileEnum.fragile) {
+        throw new LevelDataError(levelNum, `start position (${x}, ${z}) is on a fragile tile`);
+    }
+    if (startSymbol === RETRACTED_BRIDGE_SYMBOL) {
+        throw new LevelDataError(levelNum, `start position (${x}, ${z}) is on a retracted bridge`);
+    }
+
+    if (data.switches !== undefined) {
+        _validateSwitches(data.switches, layout, levelNum);
+    }
+    if (data.teleporters !== undefined) {
+        _validateTeleporters(data.teleporters, layout, levelNum);
+    }
+    if (data.music !== undefined && !MUSIC_TRACKS.includes(data.music)) {
+        let expected = MUSIC_TRACKS.join(", ");
+        throw new LevelDataError(levelNum, `unknown music track "${data.music}" (expected ${expected})`);
+    }
+
+    return data;
+}
+
+/**
+ * Validate the switch declarations of a level
+ *
+ * @param {{at: number[], bridges: number[][], action?: string}[]} switches Switch declarations
+ * @param {string[][]} layout Layout symbols ([z][x])
+ * @param {number | null} levelNum Index of the level in the data file (used in error messages)
+ * @throws {LevelDataError} If any declaration is invalid
+ */
+function _validateSwitches(switches, layout, levelNum) {
+    if (!Array.isArray(switches)) {
+        throw new LevelDataError(levelNum, `"switches" must be an array`);
+    }
+
+    let isCell = (cell) => Array.isArray(cell) && cell.length === 2 && cell.every(Number.isInteger);
+    let tileAt = ([x, z]) => tileFromSymbol(layout[z]?.[x]);
+    let declared = new Set();
+    for (const declaration of switches) {
+        if (!declaration || typeof declaration !== "object" || !isCell(declaration.at)) {
+            throw new LevelDataError(levelNum, `every switch must have an "at" [x, z] pair of integers`);
+        }
+        let [x, z] = declaration.at;
+        let type = tileAt(declaration.at);
+        if (type !== tileEnum.softSwitch && type !== tileEnum.heavySwitch) {
+            throw new LevelDataError(levelNum, `switch at (${x}, ${z}) is not on a switch tile`);
+        }
+        if (declared.has(`${x},${z}`)) {
+            throw new LevelDataError(levelNum, `switch at (${x}, ${z}) is declared more than once`);
+        }
+        declared.add(`${x},${z}`);
+
+        if (!Array.isArray(declaration.bridges) || declaration.bridges.length === 0) {
+            throw new LevelDataError(levelNum, `switch at (${x}, ${z}) must have a non-empty "bridges" array`);
+        }
+        for (const bridge of declaration.bridges) {
+            if (!isCell(bridge) || tileAt(bridge) !== tileEnum.bridge) {
+                let cell = JSON.stringify(bridge);
+                throw new LevelDataError(levelNum, `switch at (${x}, ${z}) links ${cell}, which is not a bridge`);
+            }
+        }
+        if (declaration.action !== undefined && !SWITCH_ACTIONS.includes(declaration.action)) {
+            let expected = SWITCH_ACTIONS.join(", ");
+            throw new LevelDataError(
+                levelNum,
+                `switch at (${x}, ${z}) has unknown action "${declaration.action}" (expected ${expected})`
+            );
+        }
+    }
+}
+
+/**
+ * Validate the teleporter declarations of a level
+ *
+ * @param {{at: number[], to: number[][]}[]} teleporters Teleporter declarations
+ * @param {string[][]} layout Layout symbols ([z][x])
+ * @param {number | null} levelNum Index of the level in the data file (used in error messages)
+ * @throws {LevelDataError} If any declaration is invalid
+ */
+function _validateTeleporters(teleporters, layout, levelNum) {
+    if (!Array.isArray(teleporters)) {
+        throw new LevelDataError(levelNum, `"teleporters" must be an array`);
+    }
+
+    let isCell = (cell) => Array.isArray(cell) && cell.length === 2 && cell.every(Number.isInteger);
+    let declared = new Set();
+    for (const declaration of teleporters) {
+        if (!declaration || typeof declaration !== "object" || !isCell(declaration.at)) {
+            throw new LevelDataError(levelNum, `every teleporter must have an "at" [x, z] pair of integers`);
+        }
+        let [x, z] = declaration.at;
+        if (tileFromSymbol(layout[z]?.[x]) !== tileEnum.teleporter) {
+            throw new LevelDataError(levelNum, `teleporter at (${x}, ${z}) is not on a teleporter tile`);
+        }
+        if (declared.has(`${x},${z}`)) {
+            throw new LevelDataError(levelNum, `teleporter at (${x}, ${z}) is declared more than once`);
+        }
+        declared.add(`${x},${z}`);
+
+        let to = declaration.to;
+        if (!Array.isArray(to) || to.length !== 2 || !to.every(isCell)) {
+            throw new LevelDataError(levelNum, `teleporter at (${x}, ${z}) must have a "to" pair of [x, z] cells`);
+        }
+        if (to[0][0] === to[1][0] && to[0][1] === to[1][1]) {
+            throw new LevelDataError(levelNum, `teleporter at (${x}, ${z}) sends both cubes to the same cell`);
+        }
+        for (const [toX, toZ] of to) {
+            let symbol = layout[toZ]?.[toX];
+            if (symbol === undefined || symbol === " ") {
+                let message = `teleporter at (${x}, ${z}) sends a cube off the board, to (${toX}, ${toZ})`;
+                throw new LevelDataError(levelNum, message);
+            }
+        }
+    }
+}
+
+/**
+ * Gets the number of loaded levels
+ *
+ * @returns {number} Level count
+ */
+function levelCount() {
+    return _levels.length;
+}
+
+/**
+ * Gets a loaded level
+ *
+ * @param {number} levelNum Level number
+ * @returns {{layout: string[], start: number[], par: number}} Level data
+ * @throws {LevelDataError} If there is no such level
+ */
+function getLevelData(levelNum) {
+    let data = _levels[levelNum];
+    if (data === undefined) {
+        throw new LevelDataError(levelNum, `does not exist (${_levels.length} levels loaded)`);
+    }
+    return data;
+}
+
+export { LEVELS_URL, MUSIC_TRACKS, LevelDataError, loadLevels, parseLevels, validateLevel, levelCount, getLevelData };
@@ -1,9 +1,25 @@
 import * as THREE from "three";
 
-import { Level } from "./level.js";
-import { camOffset, dirEnum, playAudio } from "./utils.js";
-import { handleBlockMovement } from "./movement.js";
-import { fadeOutInLevel } from "./animations.js";
+import { Level, CUSTOM_LEVEL } from "./level.js";
+import { dirEnum } from "./state.js";
+import { handleBlockMovement, undoMove, redoMove, switchCube, clearInputBuffer } from "./movement.js";
+import { animationPlaying, fadeOutInLevel } from "./animations.js";
+import { updateTweens } from "./tween.js";
+import { showHint, hideHint } from "./hint.js";
+import { updateHud, updateHudTimers, hideResult } from "./hud.js";
+import { getLastLevel, setLastLevel, isUnlocked } from "./progress.js";
+import { initMenus, showMainMenu, isMenuOpen, menuBack } from "./menu.js";
+import { loadLevels, levelCount } from "./levelData.js";
+import { initEditor, isEditing, isPlayTesting, stopPlayTest } from "./editor.js";
+import { decodeLevel, copyShareLink } from "./share.js";
+import { initReplays, startRecording, stopReplay, isReplaying, updateReplay } from "./replay.js";
+import { initTouchInput } from "./touch.js";
+import { initGamepadInput, pollGamepads } from "./gamepad.js";
+import { initCamera, setFocus, rotateView, viewDirection } from "./camera.js";
+import { actionForKey, controlsHelp } from "./controls.js";
+import { initAudio, playSound, toggleMute } from "./audio.js";
+import { initMusic, musicFor, playMusic } from "./music.js";
+import { updateSpeedrun, followSpeedrun } from "./speedrun.js";
 
 /**
  * Three.js components
@@ -17,16 +33,34 @@ let level;
  * Whether html buttons can be clicked
  */
 let buttonLock = false;
+/**
+ * Time of the last rendered frame (ms, requestAnimationFrame timestamp), null before the first
+ */
+let lastFrameTime = null;
 
 /**
  * Initialize everything
  */
 initScene();
+// Sounds load alongside everything else (one played before it has loaded is skipped)
+initAudio();
+initMusic();
 animationLoop();
+await initLevelData();
 initLevel();
 initButtonInput();
+initMenus();
+initEditor(scene, camera);
+initReplays(camera);
 initKeyboardInput();
-console.log(`%c ESC to pause, WASD/ARROWS to move...`, "color: #00ff00");
+initTouchInput(camera);
+initGamepadInput(camera);
+// A shared level link goes straight into that level
+if (!level.isCustom) {
+    showMainMenu();
+}
+// Built from the bindings, so it names rebound keys (rebind in SETTINGS > CONTROLS)
+console.log(`%c${controlsHelp()}`, "color: #00ff00");
 
 /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// /// ///
 
@@ -57,8 +91,7 @@ function initScene() {
         1,
         500
     );
-    camera.position.copy(camOffset);
-    camera.lookAt(new THREE.Vector3(0, 0, 0));
+    initCamera(camera);
 
     // Lighting
     scene.add(new THREE.AmbientLight(0xffffff));
@@ -76,29 +109,84 @@ function initScene() {
 }
 
 /**
- * Infinite recursive animation loop re-renders the scene every time the screen refreshes (often 60 or 120fps)
+ * Infinite recursive animation loop polls gamepads, advances running tweens, replay playback & timers, & re-renders
+ * the scene every time the screen refreshes (often 60 or 120fps)
+ *
+ * @param {number} [time] Time of this frame (ms), given by requestAnimationFrame
  */
-function animationLoop() {
+function animationLoop(time = performance.now()) {
     requestAnimationFrame(animationLoop);
+    pollGamepads(time);
+    updateReplay(updateTweens(lastFrameTime === null ? 0 : time - lastFrameTime));
+    lastFrameTime = time;
+    updateSpeedrun();
+    updateHudTimers();
     renderer.render(scene, camera);
 }
 
 /**
- * Create a new level object at level 0 & accordingly update the scene
+ * Load & validate the bundled level data
+ * - Invalid data is reported to the player as well as the console, since nothing can be played without it
+ *
+ * @throws {LevelDataError} If the level data can't be loaded or is invalid
+ */
+async function initLevelData() {
+    try {
+        await loadLevels();
+    } catch (error) {
+        console.error(error);
+        alert(`Could not load levels.\n\n${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Create a new level object & accordingly update the scene
+ * - The level shared in the page URL (?level=<share code>) if there is one, else the last level played
  */
 function initLevel() {
-    level = new Level(0);
+    let sharedData = sharedLevelData();
+    if (sharedData !== null) {
+        level = new Level(CUSTOM_LEVEL, sharedData);
+    } else {
+        let levelNum = getLastLevel();
+        level = new Level(levelNum < levelCount() && isUnlocked(levelNum) ? levelNum : 0);
+        setLastLevel(level.levelNum);
+    }
     // Center camera on the block
-    camera.position.copy(level.block.position).add(camOffset);
+    setFocus(level.block.position);
     // Add components of level to the scene
     scene.add(...level.board);
-    scene.add(level.block);
+    scene.add(...level.pieces);
+    updateHud();
+    startRecording();
+    playMusic(musicFor(level.data, level.isCustom ? null : level.levelNum));
 
     // Debug stuff
     // scene.add(new THREE.AxesHelper(20));
     // scene.add(new THREE.PlaneHelper(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0.2), 20, 0xffffff));
 }
 
+/**
+ * Gets the level shared in the page URL
+ * - An invalid share code is reported to the player & ignored
+ *
+ * @returns {{layout: string[], start: number[], par: number} | null} Level data, null if no (valid) level is shared
+ */
+function sharedLevelData() {
+    let code = new URLSearchParams(location.search).get("level");
+    if (code === null) {
+        return null;
+    }
+    try {
+        return decodeLevel(code);
+    } catch (error) {
+        console.error(error);
+        alert(`Could not open the shared level.\n\n${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Initialize event listeners & functions for pause menu buttons
  */
@@ -107,7 +195,16 @@ function initButtonInput() {
         if (!buttonLock) {
             buttonLock = true;
             document.getElementById("pause-window-box").style.visibility = "hidden";
-            playAudio("./src/assets/audio/interface.mp3", 0.5);
+            playSound("interface");
+            setTimeout(unlockButton, 1000);
+        }
+    };
+
+    document.getElementById("hint-button").onclick = () => {
+        if (!buttonLock) {
+            buttonLock = true;
+            document.getElementById("pause-window-box").style.visibility = "hidden";
+            showHint();
             setTimeout(unlockButton, 1000);
         }
     };
@@ -124,11 +221,35 @@ function initButtonInput() {
         clickLevelButton(1);
     };
 
+    document.getElementById("share-button").onclick = async () => {
+        const shareButton = document.getElementById("share-button");
+        let copied;
+        try {
+            copied = await copyShareLink(level.data);
+        } catch (error) {
+            alert(`Could not share this level: ${error.message}`);
+            return;
+        }
+        if (copied) {
+            shareButton.textContent = "LINK COPIED!";
+            setTimeout(() => {
+                shareButton.textContent = "COPY SHARE LINK";
+            }, 1500);
+        }
+    };
+
+    document.getElementById("menu-button").onclick = () => {
+        if (!buttonLock) {
+            document.getElementById("pause-window-box").style.visibility = "hidden";
+            showMainMenu();
+        }
+    };
+
     function clickLevelButton(offset) {
         if (!buttonLock) {
             buttonLock = true;
             fadeOutInLevel(offset);
-            playAudio("./src/assets/audio/interface.mp3", 0.5);
+            playSound("interface");
             setTimeout(unlockButton, 1000);
         }
     }
@@ -145,33 +266,95 @@ function initKeyboardInput() {
     document.addEventListener("keydown", (event) => {
         console.log("--- key down ---");
 
-        switch (event.code) {
-            // Block movement
-            case "KeyD":
-            case "ArrowRight":
-                handleBlockMovement(dirEnum.posX, camera);
+        // Menus take over the keyboard: Escape goes back from a sub menu, everything else is ignored
+        if (isMenuOpen()) {
+            if (event.code === "Escape") {
+                menuBack();
+            }
+            return;
+        }
+
+        let action = actionForKey(event.code);
+        // The editor is mouse driven; while play-testing, pausing goes back to it instead
+        if (isEditing()) {
+            return;
+        }
+        if (isPlayTesting() && action === "pause") {
+            stopPlayTest();
+            return;
+        }
+        // A replay drives the block by itself, only pausing & turning the view are left to the player
+        if (isReplaying() && !["pause", "turnLeft", "turnRight"].includes(action)) {
+            return;
+        }
+
+        switch (action) {
+            // Block movement (relative to the view: up always rolls away from the viewer)
+            case "right":
+                handleBlockMovement(viewDirection(dirEnum.posX), camera);
+                break;
+
+            case "left":
+                handleBlockMovement(viewDirection(dirEnum.negX), camera);
+                break;
+
+            case "down":
+                handleBlockMovement(viewDirection(dirEnum.posZ), camera);
+                break;
+
+            case "up":
+                handleBlockMovement(viewDirection(dirEnum.negZ), camera);
                 break;
 
-            case "KeyA":
-            case "ArrowLeft":
-                handleBlockMovement(dirEnum.negX, camera);
+            // Turn the view around the block
+            case "turnLeft":
+                rotateView(-1);
                 break;
 
-            case "KeyS":
-            case "ArrowDown":
-                handleBlockMovement(dirEnum.posZ, camera);
+            case "turnRight":
+                rotateView(1);
                 break;
 
-            case "KeyW":
-            case "ArrowUp":
-                handleBlockMovement(dirEnum.negZ, camera);
+            // Undo (also Ctrl+Z) & redo (also Ctrl+Shift+Z)
+            case "undo":
+                event.preventDefault();
+                if (event.shiftKey && (event.ctrlKey || event.metaKey)) {
+                    redoMove(camera);
+                } else {
+                    undoMove(camera);
+                }
+                break;
+
+            case "redo":
+                event.preventDefault();
+                redoMove(camera);
+                break;
+
+            // Switch which cube moves (while the block is split)
+            case "switchCube":
+                event.preventDefault();
+                switchCube();
+                break;
+
+            // Show the next optimal move
+            case "hint":
+                showHint();
+                break;
+
+            // Same as the pause menu button (which waits out its own button lock)
+            case "restart":
+                if (!animationPlaying) {
+                    document.getElementById("restart-level-button").click();
+                }
+                break;
+
+            case "mute":
+                toggleMute();
                 break;
 
             // Toggle visibility of pause menu
-            case "Escape":
-                let pauseWindowBox = document.getElementById("pause-window-box");
-                let pauseWindowBoxVis = getComputedStyle(pauseWindowBox).visibility;
-                pauseWindowBox.style.visibility = pauseWindowBoxVis === "hidden" ? "visible" : "hidden";
+            case "pause":
+                togglePause();
                 break;
 
             // For debugging
@@ -186,24 +369,102 @@ function initKeyboardInput() {
     });
 }
 
+/**
+ * Open the pause menu, or close it if it is open
+ */
+function togglePause() {
+    document.getElementById("pause-window-box").style.visibility = isPaused() ? "hidden" : "visible";
+    clearInputBuffer();
+}
+
+/**
+ * Checks if the pause menu is showing
+ *
+ * @returns {boolean} Whether the game is paused
+ */
+function isPaused() {
+    return getComputedStyle(document.getElementById("pause-window-box")).visibility === "visible";
+}
+
 /**
  * Overwrite global level var with a new level object & accordingly update scene
  *
- * @param {number} offset Change in level relative to current level
+ * @param {number} offset Change in level relative to current level (a custom level can only be restarted)
  */
 function changeLevel(offset) {
+    loadLevel(level.isCustom ? new Level(CUSTOM_LEVEL, level.data) : new Level(level.levelNum + offset));
+}
+
+/**
+ * Overwrite global level var with a level built from custom data & accordingly update scene
+ *
+ * @param {{layout: string[], start: number[], par: number}} data Level data
+ * @throws {LevelDataError} If the level data is invalid
+ */
+function playCustomLevel(data) {
+    loadLevel(new Level(CUSTOM_LEVEL, data));
+}
+
+/**
+ * Overwrite global level var with a loaded level & accordingly update scene
+ *
+ * @param {number} levelNum Level number
+ */
+function startLevel(levelNum) {
+    loadLevel(new Level(levelNum));
+}
+
+/**
+ * Go back from a custom level to the last level played
+ */
+function resumeLastLevel() {
+    let levelNum = getLastLevel();
+    loadLevel(new Level(levelNum < levelCount() && isUnlocked(levelNum) ? levelNum : 0));
+}
+
+/**
+ * Add the components of the current level to the scene, or remove them from it
+ *
+ * @param {boolean} shown Whether the level should be shown
+ */
+function setLevelShown(shown) {
+    if (shown) {
+        scene.add(...level.board);
+        scene.add(...level.pieces);
+    } else {
+        scene.remove(...level.board);
+        scene.remove(...level.pieces);
+    }
+}
+
+/**
+ * Overwrite global level var with a level object & accordingly update scene
+ *
+ * @param {Level} newLevel Level object to switch to
+ */
+function loadLevel(newLevel) {
     // Remove components of previous level from the scene
-    scene.remove(...level.board);
-    scene.remove(level.block);
+    hideHint();
+    stopReplay();
+    clearInputBuffer();
+    setLevelShown(false);
 
-    // Create new level object
-    level = new Level(level.levelNum + offset);
+    // Switch level object (the new one starts with an empty move history)
+    level = newLevel;
+    if (!level.isCustom) {
+        setLastLevel(level.levelNum);
+    }
+    followSpeedrun();
 
     // Center camera on the block
-    camera.position.copy(level.block.position).add(camOffset);
+    setFocus(level.block.position);
     // Add components of new level to the scene
-    scene.add(...level.board);
-    scene.add(level.block);
+    setLevelShown(true);
+    hideResult();
+    updateHud();
+    startRecording();
+    // Already crossfading if fadeOutInLevel() got here, otherwise (e.g. a custom level) it starts now
+    playMusic(musicFor(level.data, level.isCustom ? null : level.levelNum));
 }
 
-export { level, changeLevel };
+export { level, togglePause, isPaused, changeLevel, startLevel, playCustomLevel, resumeLastLevel, setLevelShown };
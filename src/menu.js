@@ -0,0 +1,294 @@
+import { level, startLevel } from "./main.js";
+import { BoardState, tileEnum, RETRACTED_BRIDGE_SYMBOL } from "./state.js";
+import { Level, WIN_TILE_COLOR } from "./level.js";
+import { starRating } from "./score.js";
+import { animationPlaying, fadeOutInLevel, fadeOutIn } from "./animations.js";
+import { getLastLevel, isUnlocked, getBest, resetProgress } from "./progress.js";
+import { levelCount, getLevelData } from "./levelData.js";
+import { openEditor } from "./editor.js";
+import { getSetting, setSetting } from "./settings.js";
+import { updateTouchControls } from "./touch.js";
+import { initControlsMenu, showControls } from "./controls.js";
+import { playSound } from "./audio.js";
+import { startSpeedrun } from "./speedrun.js";
+
+/**
+ * Side length of a level thumbnail (px)
+ */
+const _THUMBNAIL_SIZE = 96;
+
+/**
+ * Menu each sub menu goes back to, where it isn't the main menu
+ */
+const _PARENT_MENUS = { "controls-menu": "settings-menu" };
+
+/**
+ * Animation speeds the animation speed button cycles through
+ */
+const _ANIMATION_SPEEDS = [1, 1.5, 2, 0.5];
+
+/**
+ * Input buffer sizes the input buffer button cycles through
+ */
+const _INPUT_BUFFER_SIZES = [2, 3, 5, 0, 1];
+
+/**
+ * Initialize event listeners for the main menu & its sub menus
+ */
+function initMenus() {
+    document.getElementById("play-button").onclick = () => {
+        playSound("interface");
+        hideMainMenu();
+    };
+
+    document.getElementById("level-select-button").onclick = () => {
+        _buildLevelGrid();
+        _openSubMenu("level-select-menu");
+    };
+
+    document.getElementById("speedrun-button").onclick = () => {
+        if (animationPlaying) {
+            return;
+        }
+        playSound("interface");
+        hideMainMenu();
+        startSpeedrun();
+    };
+
+    document.getElementById("editor-button").onclick = () => {
+        if (animationPlaying) {
+            return;
+        }
+        hideMainMenu();
+        openEditor();
+    };
+
+    document.getElementById("settings-button").onclick = () => {
+        _updateSettingButtons();
+        _openSubMenu("settings-menu");
+    };
+
+    document.getElementById("fall-off-button").onclick = () => {
+        setSetting("fallOff", !getSetting("fallOff"));
+        _updateSettingButtons();
+        playSound("interface");
+    };
+
+    document.getElementById("animation-speed-button").onclick = () => {
+        // A speed that isn't in the list (indexOf -1) starts the cycle over
+        let next = (_ANIMATION_SPEEDS.indexOf(getSetting("animationSpeed")) + 1) % _ANIMATION_SPEEDS.length;
+        setSetting("animationSpeed", _ANIMATION_SPEEDS[next]);
+        _updateSettingButtons();
+        playSound("interface");
+    };
+
+    document.getElementById("input-buffer-button").onclick = () => {
+        let next = (_INPUT_BUFFER_SIZES.indexOf(getSetting("inputBuffer")) + 1) % _INPUT_BUFFER_SIZES.length;
+        setSetting("inputBuffer", _INPUT_BUFFER_SIZES[next]);
+        _updateSettingButtons();
+        playSound("interface");
+    };
+
+    document.getElementById("dpad-button").onclick = () => {
+        setSetting("dpad", !getSetting("dpad"));
+        updateTouchControls();
+        _updateSettingButtons();
+        playSound("interface");
+    };
+
+    document.getElementById("controls-button").onclick = () => {
+        showControls();
+        _openSubMenu("controls-menu");
+    };
+    initControlsMenu();
+
+    document.getElementById("credits-button").onclick = () => {
+        _openSubMenu("credits-menu");
+    };
+
+    document.getElementById("reset-progress-button").onclick = () => {
+        if (confirm("Reset all progress? Unlocked levels & best results will be lost.")) {
+            resetProgress();
+            // Straight to the first level, which also leaves a custom level (level offsets mean nothing from one)
+            fadeOutIn(() => {
+                startLevel(0);
+            });
+            _updatePlayButton();
+            playSound("interface");
+        }
+    };
+
+    for (const backButton of document.getElementsByClassName("menu-back-button")) {
+        backButton.onclick = () => {
+            menuBack();
+        };
+    }
+}
+
+/**
+ * Show the main menu (on top of everything else)
+ *
+ * @param {string} [id] Id of the menu panel to open it at, the main menu itself by default
+ */
+function showMainMenu(id = "main-menu") {
+    _updatePlayButton();
+    _openSubMenu(id);
+    document.getElementById("menu-window-box").style.visibility = "visible";
+}
+
+/**
+ * Hide the main menu & any open sub menu
+ */
+function hideMainMenu() {
+    document.getElementById("menu-window-box").style.visibility = "hidden";
+}
+
+/**
+ * Checks if the main menu (or one of its sub menus) is showing
+ *
+ * @returns {boolean} Whether a menu is open
+ */
+function isMenuOpen() {
+    return getComputedStyle(document.getElementById("menu-window-box")).visibility === "visible";
+}
+
+/**
+ * Go back from an open sub menu to the menu it was opened from
+ *
+ * @returns {boolean} Whether there was a sub menu to go back from
+ */
+function menuBack() {
+    if (document.getElementById("main-menu").style.display === "flex") {
+        return false;
+    }
+    let open = [...document.getElementsByClassName("menu-window")].find((menu) => menu.style.display === "flex");
+    _openSubMenu(_PARENT_MENUS[open?.id] ?? "main-menu");
+    return true;
+}
+
+/**
+ * Show one menu panel & hide the others
+ *
+ * @param {string} id Id of the menu panel to show
+ */
+function _openSubMenu(id) {
+    for (const menu of document.getElementsByClassName("menu-window")) {
+        menu.style.display = menu.id === id ? "flex" : "none";
+    }
+    playSound("interface");
+}
+
+/**
+ * Label the play button CONTINUE once the player has made any progress
+ */
+function _updatePlayButton() {
+    let hasProgress = getLastLevel() > 0 || isUnlocked(1);
+    document.getElementById("play-button").textContent = hasProgress ? "CONTINUE" : "PLAY";
+}
+
+/**
+ * Label the settings buttons with the current settings
+ */
+function _updateSettingButtons() {
+    document.getElementById("fall-off-button").textContent = `FALL-OFF MODE: ${getSetting("fallOff") ? "ON" : "OFF"}`;
+    document.getElementById("animation-speed-button").textContent = `ANIMATION SPEED: ${getSetting("animationSpeed")}x`;
+    let inputBuffer = getSetting("inputBuffer");
+    document.getElementById("input-buffer-button").textContent =
+        inputBuffer === 0 ? "INPUT BUFFER: OFF" : `INPUT BUFFER: ${inputBuffer} MOVE${inputBuffer === 1 ? "" : "S"}`;
+    document.getElementById("dpad-button").textContent = `ON-SCREEN D-PAD: ${getSetting("dpad") ? "ON" : "OFF"}`;
+}
+
+/**
+ * Fill the level select grid with a card (thumbnail, lock & completion state) for every level
+ */
+function _buildLevelGrid() {
+    const grid = document.getElementById("level-grid");
+    grid.replaceChildren();
+
+    for (let levelNum = 0; levelNum < levelCount(); levelNum++) {
+        let data = getLevelData(levelNum);
+        let best = getBest(levelNum);
+
+        let card = document.createElement("button");
+        card.className = "level-card";
+        card.disabled = !isUnlocked(levelNum);
+        card.classList.toggle("locked", card.disabled);
+        card.classList.toggle("current", levelNum === level.levelNum);
+
+        let thumbnail = document.createElement("canvas");
+        thumbnail.width = _THUMBNAIL_SIZE;
+        thumbnail.height = _THUMBNAIL_SIZE;
+        drawThumbnail(thumbnail, data.layout, data.start);
+
+        let label = document.createElement("span");
+        label.textContent = card.disabled ? `${levelNum + 1} LOCKED` : `${levelNum + 1}`;
+
+        let stars = document.createElement("span");
+        stars.className = "level-card-stars";
+        if (best) {
+            let rating = starRating(best.moves, data.par);
+            stars.textContent = "★".repeat(rating) + "☆".repeat(3 - rating);
+        }
+
+        card.append(thumbnail, label, stars);
+        card.onclick = () => {
+            _selectLevel(levelNum);
+        };
+        grid.append(card);
+    }
+}
+
+/**
+ * Close the menu & transition to a level
+ *
+ * @param {number} levelNum Level number
+ * @returns {void} Returns void & does nothing if a transition is already running
+ */
+function _selectLevel(levelNum) {
+    if (animationPlaying) {
+        return;
+    }
+    hideMainMenu();
+    if (level.isCustom) {
+        // Level offsets mean nothing from a custom level
+        fadeOutIn(() => {
+            startLevel(levelNum);
+        });
+    } else if (levelNum !== level.levelNum) {
+        fadeOutInLevel(levelNum - level.levelNum);
+    }
+}
+
+/**
+ * Draw a top-down thumbnail of a layout onto a canvas
+ *
+ * @param {HTMLCanvasElement} canvas Canvas to draw on
+ * @param {string[]} layout A layout (rows of tile symbols representing positions of tiles on a board)
+ * @param {number[]} blockPosition Initial X and Z position of block
+ */
+function drawThumbnail(canvas, layout, blockPosition) {
+    const ctx = canvas.getContext("2d");
+    let rows = layout.length;
+    let cols = Math.max(...layout.map((row) => Array.from(row).length));
+    let cell = Math.floor(Math.min(canvas.width / cols, canvas.height / rows));
+    // Center the board on the canvas
+    let offsetX = (canvas.width - cell * cols) / 2;
+    let offsetZ = (canvas.height - cell * rows) / 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (const { pos, type } of new BoardState(layout).tiles) {
+        // Same colors as the board in the scene, except the win tile, which is a hole there
+        let color = type === tileEnum.win ? WIN_TILE_COLOR : Level.tileColor(pos.x, pos.z, type);
+        ctx.fillStyle = `#${color.toString(16).padStart(6, "0")}`;
+        // Bridges that start retracted are drawn faded
+        ctx.globalAlpha = Array.from(layout[pos.z])[pos.x] === RETRACTED_BRIDGE_SYMBOL ? 0.35 : 1;
+        ctx.fillRect(offsetX + pos.x * cell, offsetZ + pos.z * cell, cell, cell);
+    }
+    ctx.globalAlpha = 1;
+
+    // Block start position
+    ctx.fillStyle = "#8b5a2b";
+    ctx.fillRect(offsetX + blockPosition[0] * cell, offsetZ + blockPosition[1] * cell, cell, cell);
+}
+
+export { initMenus, showMainMenu, hideMainMenu, isMenuOpen, menuBack, drawThumbnail };
@@ -1,130 +1,188 @@
 import * as THREE from "three";
 
-import { level } from "./main.js";
-import {
-    getBlockPos,
-    getRotatedClone,
-    twoPtRound,
-    isInt,
-    ninetyDegRad,
-    Vector2XZ,
-    dirEnum,
-    zAxis,
-    xAxis,
-} from "./utils.js";
+import { level, isPaused } from "./main.js";
+import { ninetyDegRad, zAxis, xAxis } from "./utils.js";
+import { reverseDir } from "./state.js";
+import { rollEdge } from "./rotation.js";
 import { animationPlaying, animateRotation, animateFailedRotation } from "./animations.js";
+import { hideHint } from "./hint.js";
+import { updateHud } from "./hud.js";
+import { isMenuOpen } from "./menu.js";
+import { isEditing } from "./editor.js";
+import { getSetting } from "./settings.js";
+import { recordAction, isFallOff } from "./replay.js";
+import { SWITCH_CUBE } from "./solver.js";
+import { playSound } from "./audio.js";
+
+/**
+ * Directions pressed while the block was rolling, oldest first; taken one at a time as each roll ends
+ */
+let _inputBuffer = [];
+
+/**
+ * Whether the block (or a cube) is rolling to a new position (not a refused move, fall or other animation)
+ */
+let _rolling = false;
 
 /**
  * Rotate the block in a specified direction
+ * - A direction given while the block is rolling is buffered (up to the input buffer size setting) & taken as soon
+ *   as the roll ends, so a solution can be typed in without waiting on every roll
  *
  * @param {number} rotDir Direction block will rotate
  * @param {THREE.OrthographicCamera} camera Renderer camera
- * @returns {void} Returns void & does nothing if an animation is playing or pause menu is visible
+ * @returns {void} Returns void & does nothing if movement is locked
  */
 function handleBlockMovement(rotDir, camera) {
-    if (animationPlaying || getComputedStyle(document.getElementById("pause-window-box")).visibility === "visible") {
+    if (isMovementLocked()) {
+        if (_rolling && _inputBuffer.length < getSetting("inputBuffer")) {
+            _inputBuffer.push(rotDir);
+        }
         return;
     }
 
-    let rotPoint = new THREE.Vector3(); // default (0, 0, 0)
-    let rotAxis;
-    let rotAngleMod;
-
-    // Set the relevant rotation point coordinate (block position +- offset)
-    // Set axis to rotate around (perpendicular to rotation direction)
-    // Set rotation angle modifier (1 or -1, to be multiplied with hard coded rotation angle)
-    switch (rotDir) {
-        case dirEnum.posX:
-            rotPoint.x = twoPtRound(level.block.position.x) + offsetRotPointX();
-            rotAxis = zAxis;
-            rotAngleMod = -1;
-            break;
-        case dirEnum.negX:
-            rotPoint.x = twoPtRound(level.block.position.x) - offsetRotPointX();
-            rotAxis = zAxis;
-            rotAngleMod = 1;
-            break;
-        case dirEnum.posZ:
-            rotPoint.z = twoPtRound(level.block.position.z) + offsetRotPointZ();
-            rotAxis = xAxis;
-            rotAngleMod = 1;
-            break;
-        case dirEnum.negZ:
-            rotPoint.z = twoPtRound(level.block.position.z) - offsetRotPointZ();
-            rotAxis = xAxis;
-            rotAngleMod = -1;
-            break;
-        default:
-            break;
-    }
+    let state = level.state;
+    let futureState = level.boardState.move(state, rotDir);
+    let { rotPoint, rotAxis, rotAngleMod } = getRotation(state.piece, rotDir);
 
-    // Animate block based on whether the attempted rotation is valid
-    if (isValidRotation(rotPoint, rotAxis, ninetyDegRad * rotAngleMod)) {
-        animateRotation(rotPoint, rotAxis, ninetyDegRad * rotAngleMod, camera);
+    // Animate block based on whether the attempted rotation is valid (move() refuses a roll off the board with null)
+    if (futureState !== null) {
+        // Any hint is spent once the player moves
+        hideHint();
+        level.startTimer();
+        level.history.push({ dir: rotDir, from: state, to: futureState });
+        recordAction(rotDir);
+        level.countMove();
+        updateHud();
+        _roll(rotPoint, rotAxis, ninetyDegRad * rotAngleMod, futureState, camera);
+    } else if (isFallOff() && !level.boardState.supports(state.rolled(rotDir))) {
+        // Classic rules: the move goes ahead & the block tips off the edge (animateRotation() sees it is unsupported)
+        hideHint();
+        level.startTimer();
+        recordAction(rotDir);
+        _roll(rotPoint, rotAxis, ninetyDegRad * rotAngleMod, state.rolled(rotDir), camera);
     } else {
+        // Moves typed ahead were planned from a position the block never reached
+        clearInputBuffer();
         animateFailedRotation(rotPoint, rotAxis, Math.PI / (6 * rotAngleMod));
     }
 }
 
 /**
- * Check if an an attempted rotation is valid
+ * Undo the last move by rolling the block back the way it came
  *
- * @param {THREE.Vector3} point Point to be rotated around
- * @param {THREE.Vector3} axis Normalized axis vector
- * @param {number} angle Rotation angle in radians
- * @returns {boolean} Whether the attempted rotation is valid
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ * @returns {void} Returns void & does nothing if movement is locked or there is nothing to undo
  */
-function isValidRotation(point, axis, angle) {
-    // Future position(s) of block after the attempted rotation (1 position if vertical, 2 if horizontal)
-    let blockFuturePositions = getBlockPos(getRotatedClone(level.block, point, axis, angle));
-    // Board tile positions
-    let tilePositions = level.board.map((tile) => new Vector2XZ(tile.position.x, tile.position.z));
-
-    let isValid = true;
-    // Loop through block future positions
-    blockFuturePositions.forEach((blockPos) => {
-        // Test if at least one tile's position matches the future block position
-        let validTile = tilePositions.some((tilePos) => tilePos.x === blockPos.x && tilePos.z === blockPos.z);
-        // If any future block position matches with no tile positions, the rotation cannot be valid
-        if (!validTile) {
-            isValid = false;
-        }
-    });
-    return isValid;
-}
+function undoMove(camera) {
+    if (isMovementLocked() || !level.history.canUndo) {
+        return;
+    }
 
-// yapping.
+    let move = level.history.undo();
+    recordAction("undo");
+    level.uncountMove();
+    updateHud();
+    // Put the pieces back where the move rolled them, before any teleporter split or merge, so they can roll back
+    level.state = move.from.rolled(move.dir).withBridges(move.to.bridges);
+    let { rotPoint, rotAxis, rotAngleMod } = getRotation(level.state.piece, reverseDir(move.dir));
+    hideHint();
+    _roll(rotPoint, rotAxis, ninetyDegRad * rotAngleMod, move.from, camera);
+}
 
 /**
- * Calculate an offset for a point used in an x-directed rotation based on state of the block
- *
- * - If the block is lying horizontal along the x axis, a rotation along the x axis should be
- *   around a point whose x coordinate is +- 1 unit from the center of the block.
+ * Redo the last undone move
  *
- * - Else, the block must be either standing vertical, or lying horizontal along the z axis,
- *   in both of which cases a rotation along the x axis should be around a point whose x
- *   coordinate is +- 0.5 units from the center of the block
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ * @returns {void} Returns void & does nothing if movement is locked or there is nothing to redo
+ */
+function redoMove(camera) {
+    if (isMovementLocked() || !level.history.canRedo) {
+        return;
+    }
+
+    let move = level.history.redo();
+    recordAction("redo");
+    level.countMove();
+    updateHud();
+    // Roll the cube the move was made with, even if the other cube was made active since it was undone
+    level.state = move.from;
+    let { rotPoint, rotAxis, rotAngleMod } = getRotation(move.from.piece, move.dir);
+    hideHint();
+    _roll(rotPoint, rotAxis, ninetyDegRad * rotAngleMod, move.to, camera);
+}
+
+/**
+ * Forget any buffered directions (the block won, fell, or the game was paused)
+ */
+function clearInputBuffer() {
+    _inputBuffer = [];
+}
+
+/**
+ * Roll the block (or the active cube) to a new state, then take the next buffered direction
  *
- * @returns {1 | 0.5} A rotation point offset
+ * @param {THREE.Vector3} rotPoint Point to be rotated around
+ * @param {THREE.Vector3} axis Normalized axis vector
+ * @param {number} angle Rotation angle in radians
+ * @param {GameState} futureState State of the game once the rotation is done
+ * @param {THREE.OrthographicCamera} camera Renderer camera
  */
-function offsetRotPointX() {
-    return twoPtRound(level.block.position.y) === 0.5 && isInt(twoPtRound(level.block.position.z)) ? 1 : 0.5;
+async function _roll(rotPoint, axis, angle, futureState, camera) {
+    _rolling = true;
+    await animateRotation(rotPoint, axis, angle, futureState);
+    _rolling = false;
+
+    // A win, fall or break animation has taken over: the buffered moves were meant for a board that is gone
+    if (animationPlaying) {
+        clearInputBuffer();
+        return;
+    }
+    let next = _inputBuffer.shift();
+    if (next !== undefined) {
+        handleBlockMovement(next, camera);
+    }
 }
 
 /**
- * Calculate an offset for a point used in an z-directed rotation based on state of the block
+ * Make the other cube the one that moves (while the block is split)
  *
- * - If the block is lying horizontal along the z axis, a rotation along the z axis should be
- *   around a point whose z coordinate is +- 1 unit from the center of the block.
+ * @returns {void} Returns void & does nothing if movement is locked or the block is whole
+ */
+function switchCube() {
+    if (isMovementLocked() || !level.state.isSplit) {
+        return;
+    }
+    hideHint();
+    recordAction(SWITCH_CUBE);
+    level.state = level.state.switched();
+    playSound("interface");
+}
+
+/**
+ * Check if the block can't be moved right now
  *
- * - Else, the block must be either standing vertical, or lying horizontal along the x axis,
- *   in both of which cases a rotation along the z axis should be around a point whose z
- *   coordinate is +- 0.5 units from the center of the block
+ * @returns {boolean} Whether an animation is playing, the editor is open, or pause menu or main menu is visible
+ */
+function isMovementLocked() {
+    return animationPlaying || isMenuOpen() || isEditing() || isPaused();
+}
+
+/**
+ * Get the rotation that rolls the block (or a cube, given as a standing block) in a direction (see rollEdge())
  *
- * @returns {1 | 0.5} A rotation point offset
+ * @param {BlockState} blockState Current block state
+ * @param {number} rotDir Direction block will rotate
+ * @returns {{rotPoint: THREE.Vector3, rotAxis: THREE.Vector3, rotAngleMod: 1 | -1}} Point & axis to rotate around,
+ *  and the rotation angle modifier
  */
-function offsetRotPointZ() {
-    return twoPtRound(level.block.position.y) === 0.5 && isInt(twoPtRound(level.block.position.x)) ? 1 : 0.5;
+function getRotation(blockState, rotDir) {
+    let { point, axis, angleMod } = rollEdge(blockState, rotDir);
+    return {
+        rotPoint: new THREE.Vector3(point.x, point.y, point.z),
+        rotAxis: axis === "x" ? xAxis : zAxis,
+        rotAngleMod: angleMod,
+    };
 }
 
-export { handleBlockMovement };
+export { handleBlockMovement, undoMove, redoMove, switchCube, clearInputBuffer, isMovementLocked };
@@ -0,0 +1,251 @@
+/**
+ * Background music: looped ambient tracks synthesized on the Web Audio API (slow pad chords with sparse chimes)
+ * - Each world of levels has its own track unless the level data picks one ("music", see MUSIC_TRACKS), & tracks
+ *   crossfade when it changes
+ * - Music is ducked while the pause menu is open & under the win jingle
+ */
+
+import { MUSIC_TRACKS } from "./levelData.js";
+import { getMusicOutput } from "./audio.js";
+
+/**
+ * Levels per world (each world's levels share a track by default)
+ */
+const _LEVELS_PER_WORLD = 4;
+
+/**
+ * Track sounds by name: root frequency (Hz), chord progression (semitones above the root), time per chord (s),
+ * pad waveform & pad brightness (lowpass cutoff, Hz)
+ */
+const _TRACKS = {
+    dawn: {
+        root: 220,
+        chords: [
+            [0, 4, 7, 11],
+            [5, 9, 12, 16],
+            [2, 5, 9, 12],
+            [7, 11, 14, 17],
+        ],
+        chordTime: 6,
+        wave: "triangle",
+        cutoff: 1400,
+    },
+    drift: {
+        root: 196,
+        chords: [
+            [0, 3, 7, 10],
+            [-4, 0, 3, 7],
+            [-2, 2, 5, 9],
+            [-7, -3, 0, 5],
+        ],
+        chordTime: 7,
+        wave: "sine",
+        cutoff: 1000,
+    },
+    depths: {
+        root: 146.83,
+        chords: [
+            [0, 7, 12, 15],
+            [-2, 5, 10, 14],
+            [-4, 3, 8, 12],
+            [-5, 2, 7, 10],
+        ],
+        chordTime: 8,
+        wave: "sawtooth",
+        cutoff: 600,
+    },
+};
+
+/**
+ * Time to crossfade between tracks (s), a little longer than a level transition so it spans the whole fade
+ */
+const _CROSSFADE_TIME = 1.5;
+
+/**
+ * How far ahead notes are scheduled (s), & how often the scheduler runs (ms)
+ */
+const _LOOKAHEAD = 1.5;
+const _SCHEDULE_INTERVAL = 250;
+
+/**
+ * Music gain while ducked, under the pause menu & under the win jingle
+ */
+const _PAUSE_DUCK = 0.35;
+const _JINGLE_DUCK = 0.2;
+
+/**
+ * Track playing: name, gain node (faded in & out by crossfades), next chord & its start time (audio context time),
+ * & scheduler timer; null while nothing plays
+ */
+let _playing = null;
+
+/**
+ * Gain nodes ducking the music for the pause menu & for the win jingle (in series before the music bus)
+ */
+let _pauseDuck = null;
+let _jingleDuck = null;
+
+/**
+ * Set up ducking (music follows the pause menu on its own, however it is opened or closed)
+ *
+ * @returns {void} Returns void & does nothing if audio is unavailable
+ */
+function initMusic() {
+    let output = getMusicOutput();
+    if (output === null) {
+        return;
+    }
+    _jingleDuck = output.context.createGain();
+    _jingleDuck.connect(output.bus);
+    _pauseDuck = output.context.createGain();
+    _pauseDuck.connect(_jingleDuck);
+
+    const pauseWindowBox = document.getElementById("pause-window-box");
+    new MutationObserver(() => {
+        let paused = getComputedStyle(pauseWindowBox).visibility === "visible";
+        _pauseDuck.gain.setTargetAtTime(paused ? _PAUSE_DUCK : 1, output.context.currentTime, 0.15);
+    }).observe(pauseWindowBox, { attributes: true, attributeFilter: ["style"] });
+}
+
+/**
+ * Gets the track a level plays: the one its data picks, or its world's
+ *
+ * @param {{music?: string}} data Level data
+ * @param {number | null} levelNum Level number, null for a custom level (which plays the first track by default)
+ * @returns {string} Track name
+ */
+function musicFor(data, levelNum) {
+    if (data.music !== undefined) {
+        return data.music;
+    }
+    let world = levelNum === null ? 0 : Math.floor(levelNum / _LEVELS_PER_WORLD);
+    return MUSIC_TRACKS[world % MUSIC_TRACKS.length];
+}
+
+/**
+ * Crossfade to a track (from whatever is playing)
+ *
+ * @param {string} name Track name
+ * @returns {void} Returns void & does nothing if the track is already playing or audio is unavailable
+ */
+function playMusic(name) {
+    if (_pauseDuck === null || _playing?.name === name) {
+        return;
+    }
+    let { context } = getMusicOutput();
+    let now = context.currentTime;
+    _stopPlaying(now);
+
+    let gain = context.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(1, now + _CROSSFADE_TIME);
+    gain.connect(_pauseDuck);
+    _playing = { name: name, gain: gain, chord: 0, nextTime: now };
+    _schedule();
+    _playing.timer = setInterval(_schedule, _SCHEDULE_INTERVAL);
+}
+
+/**
+ * Duck the music under the win jingle
+ *
+ * @param {number} duration Time to stay ducked (s)
+ * @returns {void} Returns void & does nothing if audio is unavailable
+ */
+function duckForJingle(duration) {
+    if (_jingleDuck === null) {
+        return;
+    }
+    let now = getMusicOutput().context.currentTime;
+    _jingleDuck.gain.cancelScheduledValues(now);
+    _jingleDuck.gain.setTargetAtTime(_JINGLE_DUCK, now, 0.05);
+    _jingleDuck.gain.setTargetAtTime(1, now + duration, 0.5);
+}
+
+/**
+ * Fade out the track playing (if any) & stop scheduling its notes
+ *
+ * @param {number} now Audio context time (s)
+ */
+function _stopPlaying(now) {
+    if (_playing === null) {
+        return;
+    }
+    let { gain, timer } = _playing;
+    clearInterval(timer);
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(0, now + _CROSSFADE_TIME);
+    // Notes already scheduled play out into the silent gain, so it is only disconnected once they are done
+    setTimeout(() => {
+        gain.disconnect();
+    }, (_CROSSFADE_TIME + _LOOKAHEAD + 2 * _TRACKS[_playing.name].chordTime) * 1000);
+    _playing = null;
+}
+
+/**
+ * Schedule every chord of the playing track that starts within the lookahead
+ */
+function _schedule() {
+    let { context } = getMusicOutput();
+    let track = _TRACKS[_playing.name];
+    while (_playing.nextTime < context.currentTime + _LOOKAHEAD) {
+        let chord = track.chords[_playing.chord];
+        _playChord(track, chord, _playing.nextTime, _playing.gain);
+        _playing.chord = (_playing.chord + 1) % track.chords.length;
+        _playing.nextTime += track.chordTime;
+    }
+}
+
+/**
+ * Schedule one chord: a pad note per chord tone, swelling in & overlapping into the next chord, plus a few chimes
+ *
+ * @param {{root: number, chordTime: number, wave: string, cutoff: number}} track Track sound
+ * @param {number[]} chord Chord tones (semitones above the root)
+ * @param {number} start Audio context time the chord starts (s)
+ * @param {GainNode} output Track gain node
+ */
+function _playChord(track, chord, start, output) {
+    let { context } = getMusicOutput();
+    let frequency = (semitones) => track.root * 2 ** (semitones / 12);
+    let end = start + track.chordTime * 1.5;
+
+    let filter = context.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = track.cutoff;
+    filter.connect(output);
+    for (const tone of chord) {
+        let envelope = context.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(0.06, start + track.chordTime * 0.4);
+        envelope.gain.linearRampToValueAtTime(0, end);
+        envelope.connect(filter);
+
+        let oscillator = context.createOscillator();
+        oscillator.type = track.wave;
+        oscillator.frequency.value = frequency(tone);
+        // A few cents off true, so the pad shimmers rather than sitting dead still
+        oscillator.detune.value = (Math.random() * 2 - 1) * 6;
+        oscillator.connect(envelope);
+        oscillator.start(start);
+        oscillator.stop(end);
+    }
+
+    // Chimes: two octaves up, on random beats of the chord
+    for (let i = 0; i < 3; i++) {
+        let time = start + Math.floor(Math.random() * 4) * (track.chordTime / 4);
+        let chime = context.createGain();
+        chime.gain.setValueAtTime(0, time);
+        chime.gain.linearRampToValueAtTime(0.03, time + 0.02);
+        chime.gain.exponentialRampToValueAtTime(0.0001, time + 2);
+        chime.connect(output);
+
+        let oscillator = context.createOscillator();
+        oscillator.type = "sine";
+        oscillator.frequency.value = frequency(chord[Math.floor(Math.random() * chord.length)] + 24);
+        oscillator.connect(chime);
+        oscillator.start(time);
+        oscillator.stop(time + 2);
+    }
+}
+
+export { initMusic, musicFor, playMusic, duckForJingle };
@@ -0,0 +1,152 @@
+/**
+ * localStorage key progress is saved under
+ */
+const _STORAGE_KEY = "nintaii-progress";
+
+/**
+ * Progress of a player who has never played
+ *
+ * @returns {object} Fresh progress
+ */
+function _defaultProgress() {
+    return {
+        unlocked: 0, // highest unlocked level number
+        lastLevel: 0,
+        best: {}, // level number -> best move count & best time (ms)
+        speedrunBest: null, // splits (run time at each level win, ms) of the fastest full run, null if none
+    };
+}
+
+/**
+ * Current progress (loaded once, then kept in sync with localStorage)
+ */
+let _progress = _loadProgress();
+
+/**
+ * Read saved progress from localStorage
+ * - Falls back to fresh progress if nothing is saved, the save is corrupt, or storage is unavailable
+ *
+ * @returns {object} Progress (see _defaultProgress())
+ */
+function _loadProgress() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(_STORAGE_KEY));
+        return saved ? { ..._defaultProgress(), ...saved } : _defaultProgress();
+    } catch (error) {
+        console.warn("Could not load saved progress", error);
+        return _defaultProgress();
+    }
+}
+
+/**
+ * Write current progress to localStorage
+ */
+function _saveProgress() {
+    try {
+        localStorage.setItem(_STORAGE_KEY, JSON.stringify(_progress));
+    } catch (error) {
+        console.warn("Could not save progress", error);
+    }
+}
+
+/**
+ * Gets the level to resume at
+ *
+ * @returns {number} Last level played
+ */
+function getLastLevel() {
+    return _progress.lastLevel;
+}
+
+/**
+ * Remember the level being played
+ *
+ * @param {number} levelNum Level number
+ */
+function setLastLevel(levelNum) {
+    _progress.lastLevel = levelNum;
+    _saveProgress();
+}
+
+/**
+ * Checks if a level can be played
+ *
+ * @param {number} levelNum Level number
+ * @returns {boolean} Whether the level is unlocked
+ */
+function isUnlocked(levelNum) {
+    return levelNum <= _progress.unlocked;
+}
+
+/**
+ * Gets the best result for a level
+ *
+ * @param {number} levelNum Level number
+ * @returns {{moves: number, time: number} | undefined} Best move count & best time (ms), undefined if never won
+ */
+function getBest(levelNum) {
+    return _progress.best[levelNum];
+}
+
+/**
+ * Record a win: unlock the next level & keep the best move count and time
+ * - Move count & time are kept independently, so each best may come from a different win
+ *
+ * @param {number} levelNum Level number
+ * @param {number} moves Moves the level was won in
+ * @param {number} time Time the level was won in (ms)
+ */
+function recordWin(levelNum, moves, time) {
+    let best = _progress.best[levelNum];
+    _progress.best[levelNum] = {
+        moves: best ? Math.min(best.moves, moves) : moves,
+        time: best ? Math.min(best.time, time) : time,
+    };
+    _progress.unlocked = Math.max(_progress.unlocked, levelNum + 1);
+    _saveProgress();
+}
+
+/**
+ * Gets the splits of the fastest full run
+ *
+ * @returns {number[] | null} Run time at each level win (ms), null if no run has been finished
+ */
+function getSpeedrunBest() {
+    return _progress.speedrunBest;
+}
+
+/**
+ * Record a finished run, keeping its splits if it is the fastest
+ *
+ * @param {number[]} splits Run time at each level win (ms)
+ * @returns {boolean} Whether the run is a new personal best
+ */
+function recordSpeedrun(splits) {
+    let best = _progress.speedrunBest;
+    // A PB from before levels were added or removed can't be compared against
+    if (best !== null && best.length === splits.length && best[best.length - 1] <= splits[splits.length - 1]) {
+        return false;
+    }
+    _progress.speedrunBest = [...splits];
+    _saveProgress();
+    return true;
+}
+
+/**
+ * Forget all progress
+ */
+function resetProgress() {
+    _progress = _defaultProgress();
+    _saveProgress();
+}
+
+export {
+    getLastLevel,
+    setLastLevel,
+    isUnlocked,
+    getBest,
+    recordWin,
+    getSpeedrunBest,
+    recordSpeedrun,
+    resetProgress,
+};
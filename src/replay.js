@@ -0,0 +1,366 @@
+/**
+ * Recording, export/import & playback of level attempts
+ * - A replay is the level data plus every action taken (moves, undo/redo, cube switches) with its time, so it plays
+ *   back through the same movement functions the keyboard uses
+ */
+
+import { level, startLevel, playCustomLevel } from "./main.js";
+import { CUSTOM_LEVEL } from "./level.js";
+import { dirEnum } from "./state.js";
+import { SWITCH_CUBE } from "./solver.js";
+import { validateLevel, levelCount, getLevelData } from "./levelData.js";
+import { isUnlocked } from "./progress.js";
+import { animationPlaying, fadeOutIn } from "./animations.js";
+import { handleBlockMovement, undoMove, redoMove, switchCube, isMovementLocked } from "./movement.js";
+import { playSound } from "./audio.js";
+import { getSetting } from "./settings.js";
+import { setTimeScale } from "./tween.js";
+
+/**
+ * Replay format version
+ */
+const _VERSION = 1;
+
+/**
+ * Actions other than moves (moves are dirEnum directions)
+ */
+const _UNDO = "undo";
+const _REDO = "redo";
+const _ACTIONS = [...Object.values(dirEnum), _UNDO, _REDO, SWITCH_CUBE];
+
+/**
+ * Playback speeds the speed button cycles through
+ */
+const _SPEEDS = [1, 2, 4, 0.5];
+
+/**
+ * Thrown when a replay is malformed
+ */
+class ReplayError extends Error {
+    /**
+     * @param {string} message What is wrong with the replay
+     */
+    constructor(message) {
+        super(message);
+        this.name = "ReplayError";
+    }
+}
+
+/**
+ * Renderer camera (shared with main.js)
+ */
+let _camera;
+
+/**
+ * Attempt being recorded, & the last attempt before it (so a won level can still be saved after it moves on)
+ * - levelNum & data: the level played, start: time of the first action (ms, performance.now()),
+ *   fallOff: whether it was played by fall-off rules (set at the first action), actions: [time since the first
+ *   action (ms), action] pairs, isReplay: whether it was played back from a replay
+ */
+let _recording = null;
+let _previousRecording = null;
+
+/**
+ * Replay being played back, null if none
+ * - actions & index: the actions & the next one to play, fallOff: whether it plays by fall-off rules,
+ *   clock: playback time (ms, on the tween clock, which runs at the playback speed), paused: whether playback is paused
+ */
+let _playback = null;
+
+/**
+ * Playback speed multiplier
+ */
+let _speed = 1;
+
+/**
+ * Initialize the replay buttons (pause menu & playback panel)
+ *
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ */
+function initReplays(camera) {
+    _camera = camera;
+
+    document.getElementById("save-replay-button").onclick = () => {
+        let replay = _recording?.actions.length > 0 ? _recording : _previousRecording;
+        if (replay === null || replay.actions.length === 0) {
+            playSound("error");
+            return;
+        }
+        let url = URL.createObjectURL(new Blob([exportReplay(replay)], { type: "application/json" }));
+        let link = document.createElement("a");
+        link.href = url;
+        link.download = "replay.json";
+        link.click();
+        URL.revokeObjectURL(url);
+        playSound("interface");
+    };
+
+    const replayInput = document.getElementById("replay-input");
+    document.getElementById("load-replay-button").onclick = () => {
+        replayInput.click();
+    };
+    replayInput.onchange = async () => {
+        let file = replayInput.files[0];
+        replayInput.value = "";
+        if (file === undefined) {
+            return;
+        }
+        try {
+            playReplay(importReplay(await file.text()));
+        } catch (error) {
+            console.error(error);
+            alert(`Could not load the replay.\n\n${error.message}`);
+        }
+    };
+
+    document.getElementById("replay-play-button").onclick = () => {
+        if (_playback !== null) {
+            _playback.paused = !_playback.paused;
+            _applySpeed();
+            _updatePanel();
+        }
+    };
+
+    document.getElementById("replay-speed-button").onclick = () => {
+        _speed = _SPEEDS[(_SPEEDS.indexOf(_speed) + 1) % _SPEEDS.length];
+        _applySpeed();
+        _updatePanel();
+    };
+
+    document.getElementById("replay-stop-button").onclick = () => {
+        stopReplay();
+    };
+}
+
+/**
+ * Start recording a new attempt at the current level (the previous attempt is kept until the next one starts)
+ */
+function startRecording() {
+    if (_recording?.actions.length > 0) {
+        _previousRecording = _recording;
+    }
+    _recording = { levelNum: level.levelNum, data: level.data, start: null, fallOff: null, actions: [] };
+}
+
+/**
+ * Record an action of the current attempt
+ * - Actions played back from a replay are recorded too, so an attempt continued from a replay saves whole
+ *
+ * @param {number | string} action A move (dirEnum direction), "undo", "redo" or SWITCH_CUBE
+ */
+function recordAction(action) {
+    if (_recording === null) {
+        return;
+    }
+    let now = performance.now();
+    _recording.start ??= now;
+    _recording.fallOff ??= isFallOff();
+    _recording.actions.push([Math.round(now - _recording.start), action]);
+}
+
+/**
+ * Serialize a recorded attempt
+ *
+ * @param {{levelNum: number, data: object, fallOff: boolean, actions: Array[]}} recording A recorded attempt
+ * @returns {string} Replay (JSON)
+ */
+function exportReplay(recording) {
+    return JSON.stringify({
+        version: _VERSION,
+        levelNum: recording.levelNum === CUSTOM_LEVEL ? null : recording.levelNum,
+        level: recording.data,
+        fallOff: recording.fallOff,
+        actions: recording.actions,
+    });
+}
+
+/**
+ * Parse & validate a replay
+ *
+ * @param {string} text Replay (JSON)
+ * @returns {{levelNum: number | null, level: object, fallOff: boolean, actions: Array[]}} Replay
+ * @throws {ReplayError | LevelDataError} If the replay is malformed or its level is invalid
+ */
+function importReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        throw new ReplayError("replay is not valid JSON");
+    }
+    if (!replay || replay.version !== _VERSION) {
+        throw new ReplayError(`unsupported replay version ${replay?.version}`);
+    }
+    if (replay.levelNum !== null && !Number.isInteger(replay.levelNum)) {
+        throw new ReplayError(`"levelNum" must be an integer or null`);
+    }
+    // Replays from before fall-off mode was saved were played by the default rules
+    replay.fallOff ??= false;
+    if (typeof replay.fallOff !== "boolean") {
+        throw new ReplayError(`"fallOff" must be a boolean`);
+    }
+    validateLevel(replay.level);
+    let isAction = (entry) =>
+        Array.isArray(entry) && entry.length === 2 && Number.isFinite(entry[0]) && _ACTIONS.includes(entry[1]);
+    if (!Array.isArray(replay.actions) || !replay.actions.every(isAction)) {
+        throw new ReplayError(`"actions" must be an array of [time, action] pairs`);
+    }
+    return replay;
+}
+
+/**
+ * Load a replay's level & play its actions back
+ * - The bundled level is used if it is unlocked & unchanged, otherwise the replay's copy is played as a custom level
+ *
+ * @param {{levelNum: number | null, level: object, fallOff: boolean, actions: Array[]}} replay A validated replay
+ * @returns {void} Returns void & does nothing if an animation is playing
+ */
+function playReplay(replay) {
+    if (animationPlaying) {
+        return;
+    }
+    let levelNum = replay.levelNum;
+    let isBundled =
+        levelNum !== null &&
+        levelNum < levelCount() &&
+        isUnlocked(levelNum) &&
+        JSON.stringify(getLevelData(levelNum)) === JSON.stringify(replay.level);
+
+    document.getElementById("pause-window-box").style.visibility = "hidden";
+    fadeOutIn(() => {
+        stopReplay();
+        if (isBundled) {
+            startLevel(levelNum);
+        } else {
+            playCustomLevel(replay.level);
+        }
+        _recording.isReplay = true;
+        _playback = { actions: replay.actions, index: 0, fallOff: replay.fallOff, clock: 0, paused: false };
+        _applySpeed();
+        _updatePanel();
+        document.getElementById("replay-panel").style.visibility = "visible";
+    });
+}
+
+/**
+ * Stop playing a replay back (the level stays as it is, so it can be played on from there)
+ */
+function stopReplay() {
+    if (_playback === null) {
+        return;
+    }
+    _playback = null;
+    _applySpeed();
+    document.getElementById("replay-panel").style.visibility = "hidden";
+}
+
+/**
+ * Checks if a replay is driving the block
+ *
+ * @returns {boolean} Whether a replay is playing (or paused) & has actions left
+ */
+function isReplaying() {
+    return _playback !== null && _playback.index < _playback.actions.length;
+}
+
+/**
+ * Checks if the current attempt was played back from a replay (even if the player took over part way)
+ *
+ * @returns {boolean} Whether the attempt is a replay
+ */
+function isReplayAttempt() {
+    return _recording?.isReplay === true;
+}
+
+/**
+ * Checks if moves off the board go ahead (& the block falls) rather than being refused
+ * - A replay plays by the rules it was recorded with, the player by the fall-off setting
+ *
+ * @returns {boolean} Whether fall-off rules apply
+ */
+function isFallOff() {
+    return _playback?.fallOff ?? getSetting("fallOff");
+}
+
+/**
+ * Advance playback: play the next action if its time has come & the block is free to move
+ * - Called every frame with the tween clock's step, so playback keeps time with the animations (animation speed
+ *   setting & playback speed included) & stops with the render loop in background tabs
+ *
+ * @param {number} step Time the tweens were advanced by this frame (ms)
+ * @returns {void} Returns void & does nothing if no replay is playing
+ */
+function updateReplay(step) {
+    _applySpeed();
+    if (!isReplaying() || _playback.paused) {
+        return;
+    }
+    _playback.clock += step;
+
+    let [time, action] = _playback.actions[_playback.index];
+    // Wait for the previous action's animation, however long ago this one was due
+    if (time > _playback.clock || isMovementLocked()) {
+        return;
+    }
+    _playAction(action);
+    _playback.index++;
+    _updatePanel();
+}
+
+/**
+ * Play back one action through the movement functions
+ *
+ * @param {number | string} action A move (dirEnum direction), "undo", "redo" or SWITCH_CUBE
+ */
+function _playAction(action) {
+    switch (action) {
+        case _UNDO:
+            undoMove(_camera);
+            break;
+        case _REDO:
+            redoMove(_camera);
+            break;
+        case SWITCH_CUBE:
+            switchCube();
+            break;
+        default:
+            handleBlockMovement(action, _camera);
+            break;
+    }
+}
+
+/**
+ * Run every animation at the playback speed while a replay is playing (its last move included), at normal speed
+ * otherwise
+ */
+function _applySpeed() {
+    let isPlaying = _playback !== null && !_playback.paused && (isReplaying() || animationPlaying);
+    setTimeScale(isPlaying ? _speed : 1);
+}
+
+/**
+ * Show the playback state in the replay panel
+ */
+function _updatePanel() {
+    let isFinished = _playback !== null && _playback.index === _playback.actions.length;
+    document.getElementById("replay-play-button").textContent = _playback?.paused ? "PLAY" : "PAUSE";
+    document.getElementById("replay-speed-button").textContent = `${_speed}x`;
+    document.getElementById("replay-progress").textContent = isFinished
+        ? "REPLAY DONE"
+        : `REPLAY ${_playback?.index ?? 0}/${_playback?.actions.length ?? 0}`;
+}
+
+export {
+    ReplayError,
+    initReplays,
+    startRecording,
+    recordAction,
+    exportReplay,
+    importReplay,
+    playReplay,
+    stopReplay,
+    isReplaying,
+    isReplayAttempt,
+    isFallOff,
+    updateReplay,
+};
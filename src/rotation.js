@@ -0,0 +1,75 @@
+/**
+ * Roll geometry: the edge a piece rolls over (whether it can roll at all is BoardState.move()'s call)
+ * - Has no three.js or DOM dependency (movement.js turns the edge into three.js vectors), so it runs in Node as well
+ */
+
+import { dirEnum, orientEnum } from "./state.js";
+
+/**
+ * Gets the edge of the board a piece rolls over in a direction
+ * - The edge is a line along the rotation axis through the rotation point; only the coordinate across the roll is
+ *   set on the point, the others stay 0 (any point on the line would do)
+ *
+ * @param {BlockState} blockState Rolling piece (a cube is given as a standing block, see GameState.piece)
+ * @param {number} rotDir Direction to roll (dirEnum)
+ * @returns {{point: {x: number, y: number, z: number}, axis: "x" | "z", angleMod: 1 | -1}} Rotation point, world
+ *  axis to rotate around (perpendicular to the roll), & rotation angle modifier (1 or -1, to be multiplied with the
+ *  90deg roll angle)
+ */
+function rollEdge(blockState, rotDir) {
+    let center = blockState.center;
+    let point = { x: 0, y: 0, z: 0 };
+
+    switch (rotDir) {
+        case dirEnum.posX:
+            point.x = center.x + offsetRotPointX(blockState);
+            return { point: point, axis: "z", angleMod: -1 };
+        case dirEnum.negX:
+            point.x = center.x - offsetRotPointX(blockState);
+            return { point: point, axis: "z", angleMod: 1 };
+        case dirEnum.posZ:
+            point.z = center.z + offsetRotPointZ(blockState);
+            return { point: point, axis: "x", angleMod: 1 };
+        case dirEnum.negZ:
+            point.z = center.z - offsetRotPointZ(blockState);
+            return { point: point, axis: "x", angleMod: -1 };
+        default:
+            throw new Error(`Unknown direction ${rotDir}`);
+    }
+}
+
+/**
+ * Calculate an offset for a point used in an x-directed rotation based on state of the block
+ *
+ * - If the block is lying horizontal along the x axis, a rotation along the x axis should be
+ *   around a point whose x coordinate is +- 1 unit from the center of the block.
+ *
+ * - Else, the block must be either standing vertical, or lying horizontal along the z axis,
+ *   in both of which cases a rotation along the x axis should be around a point whose x
+ *   coordinate is +- 0.5 units from the center of the block
+ *
+ * @param {BlockState} blockState Current block state
+ * @returns {1 | 0.5} A rotation point offset
+ */
+function offsetRotPointX(blockState) {
+    return blockState.orientation === orientEnum.lyingX ? 1 : 0.5;
+}
+
+/**
+ * Calculate an offset for a point used in an z-directed rotation based on state of the block
+ *
+ * - If the block is lying horizontal along the z axis, a rotation along the z axis should be
+ *   around a point whose z coordinate is +- 1 unit from the center of the block.
+ *
+ * - Else, the block must be either standing vertical, or lying horizontal along the x axis,
+ *   in both of which cases a rotation along the z axis should be around a point whose z
+ *   coordinate is +- 0.5 units from the center of the block
+ *
+ * @param {BlockState} blockState Current block state
+ * @returns {1 | 0.5} A rotation point offset
+ */
+function offsetRotPointZ(blockState) {
+    return blockState.orientation === orientEnum.lyingZ ? 1 : 0.5;
+}
+
+export { rollEdge, offsetRotPointX, offsetRotPointZ };
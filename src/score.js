@@ -0,0 +1,19 @@
+/**
+ * Rate a finished level by comparing its move count with the level's par
+ * - 3 stars at or under par, 2 stars within 50% over par, else 1 star
+ *
+ * @param {number} moves Number of moves the level was finished in
+ * @param {number} par Par move count of the level
+ * @returns {1 | 2 | 3} Star rating
+ */
+function starRating(moves, par) {
+    if (moves <= par) {
+        return 3;
+    }
+    if (moves <= Math.ceil(par * 1.5)) {
+        return 2;
+    }
+    return 1;
+}
+
+export { starRating };
@@ -0,0 +1,78 @@
+/**
+ * localStorage key settings are saved under
+ */
+const _STORAGE_KEY = "nintaii-settings";
+
+/**
+ * Settings of a player who has never changed any
+ *
+ * @returns {object} Default settings (setting name to value)
+ */
+function _defaultSettings() {
+    return {
+        fallOff: false, // classic rules: moves off the board go ahead & the block falls, instead of being refused
+        animationSpeed: 1, // multiplier on the speed of every animation
+        inputBuffer: 2, // most directions kept while the block is rolling, 0 to drop them
+        dpad: false, // on-screen D-pad (& pause button) for touch screens
+        keyBindings: {}, // keys bound to each action, where changed from the defaults (see controls.js)
+        masterVolume: 1, // volume of everything (0 to 1)
+        sfxVolume: 1, // volume of sound effects (0 to 1)
+        musicVolume: 0.5, // volume of music (0 to 1)
+        muted: false, // silences everything, whatever the volumes
+    };
+}
+
+/**
+ * Current settings (loaded once, then kept in sync with localStorage)
+ */
+let _settings = _loadSettings();
+
+/**
+ * Read saved settings from localStorage
+ * - Falls back to the defaults if nothing is saved, the save is corrupt, or storage is unavailable
+ *
+ * @returns {object} Settings (setting name to value)
+ */
+function _loadSettings() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(_STORAGE_KEY));
+        return saved ? { ..._defaultSettings(), ...saved } : _defaultSettings();
+    } catch (error) {
+        console.warn("Could not load saved settings", error);
+        return _defaultSettings();
+    }
+}
+
+/**
+ * Write current settings to localStorage
+ */
+function _saveSettings() {
+    try {
+        localStorage.setItem(_STORAGE_KEY, JSON.stringify(_settings));
+    } catch (error) {
+        console.warn("Could not save settings", error);
+    }
+}
+
+/**
+ * Gets a setting
+ *
+ * @param {string} name Setting name
+ * @returns {*} Setting value
+ */
+function getSetting(name) {
+    return _settings[name];
+}
+
+/**
+ * Change a setting & save it
+ *
+ * @param {string} name Setting name
+ * @param {*} value New setting value
+ */
+function setSetting(name, value) {
+    _settings[name] = value;
+    _saveSettings();
+}
+
+export { getSetting, setSetting };
@@ -0,0 +1,237 @@
+/**
+ * Short, URL safe share codes for level data
+ * - Code layout (before base64url): version, width, height, start x, start z, par (varint), run-length encoded
+ *   cells, then any extra level data fields as length-prefixed JSON
+ * - Runs are one byte each: symbol index in the low 4 bits, run length - 1 in the high 4 bits
+ */
+
+import { LevelDataError, validateLevel } from "./levelData.js";
+
+/**
+ * Share code format version
+ */
+const _VERSION = 1;
+
+/**
+ * Layout symbols, indexed by their code in a share code
+ * - Append only: reordering would break every code already shared
+ */
+const _SYMBOLS = [" ", "■", "□", "▒", "○", "●", "▬", "▭", "◎"];
+
+/**
+ * Longest run a single byte can hold
+ */
+const _MAX_RUN = 16;
+
+/**
+ * Level data fields that are packed into the binary part of a code (anything else goes into the JSON part)
+ */
+const _PACKED_FIELDS = ["layout", "start", "par"];
+
+/**
+ * Encode level data into a share code
+ *
+ * @param {{layout: string[], start: number[], par: number}} data Level data
+ * @returns {string} Share code (base64url)
+ * @throws {LevelDataError} If the level data is invalid or too big to share
+ */
+function encodeLevel(data) {
+    validateLevel(data);
+    let rows = data.layout.map((row) => Array.from(row));
+    let width = Math.max(...rows.map((row) => row.length));
+    let height = rows.length;
+    if (width > 255 || height > 255) {
+        throw new LevelDataError(null, "level is too big to share");
+    }
+
+    let bytes = [_VERSION, width, height, data.start[0], data.start[1]];
+    _writeVarint(bytes, data.par);
+
+    // Row-major cells, rows padded with empty cells to the full width
+    let cells = [];
+    for (const row of rows) {
+        for (let x = 0; x < width; x++) {
+            cells.push(_SYMBOLS.indexOf(row[x] ?? " "));
+        }
+    }
+    for (let i = 0; i < cells.length; ) {
+        let run = 1;
+        while (run < _MAX_RUN && cells[i + run] === cells[i]) {
+            run++;
+        }
+        bytes.push(((run - 1) << 4) | cells[i]);
+        i += run;
+    }
+
+    // Fields the binary part doesn't know about travel as JSON
+    let extras = Object.fromEntries(Object.entries(data).filter(([field]) => !_PACKED_FIELDS.includes(field)));
+    if (Object.keys(extras).length > 0) {
+        let json = new TextEncoder().encode(JSON.stringify(extras));
+        _writeVarint(bytes, json.length);
+        bytes.push(...json);
+    }
+
+    return _toBase64Url(bytes);
+}
+
+/**
+ * Decode a share code into level data
+ *
+ * @param {string} code Share code (base64url)
+ * @returns {{layout: string[], start: number[], par: number}} Validated level data
+ * @throws {LevelDataError} If the code is malformed or describes an invalid level
+ */
+function decodeLevel(code) {
+    let bytes;
+    try {
+        bytes = _fromBase64Url(code);
+    } catch (error) {
+        throw new LevelDataError(null, "share code is not valid base64url");
+    }
+
+    let reader = { bytes: bytes, pos: 0 };
+    let version = _readByte(reader);
+    if (version !== _VERSION) {
+        throw new LevelDataError(null, `unsupported share code version ${version}`);
+    }
+    let width = _readByte(reader);
+    let height = _readByte(reader);
+    let start = [_readByte(reader), _readByte(reader)];
+    let par = _readVarint(reader);
+
+    let cells = [];
+    while (cells.length < width * height) {
+        let byte = _readByte(reader);
+        let symbol = _SYMBOLS[byte & 0x0f];
+        if (symbol === undefined) {
+            throw new LevelDataError(null, `share code has an unknown tile code ${byte & 0x0f}`);
+        }
+        cells.push(...Array((byte >> 4) + 1).fill(symbol));
+    }
+    if (cells.length !== width * height) {
+        throw new LevelDataError(null, "share code cells don't fill the board");
+    }
+
+    let layout = [];
+    for (let z = 0; z < height; z++) {
+        layout.push(cells.slice(z * width, (z + 1) * width).join("").trimEnd());
+    }
+
+    let extras = {};
+    if (reader.pos < bytes.length) {
+        let length = _readVarint(reader);
+        let json = bytes.slice(reader.pos, reader.pos + length);
+        try {
+            extras = JSON.parse(new TextDecoder().decode(json));
+        } catch (error) {
+            throw new LevelDataError(null, "share code extra data is corrupt");
+        }
+    }
+
+    return validateLevel({ ...extras, par: par, start: start, layout: layout });
+}
+
+/**
+ * Append an unsigned integer as a little-endian base-128 varint
+ *
+ * @param {number[]} bytes Bytes to append to
+ * @param {number} value Unsigned integer
+ */
+function _writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+}
+
+/**
+ * Read an unsigned little-endian base-128 varint
+ *
+ * @param {{bytes: Uint8Array, pos: number}} reader Bytes & read position (advanced past the varint)
+ * @returns {number} Unsigned integer
+ */
+function _readVarint(reader) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+        byte = _readByte(reader);
+        value |= (byte & 0x7f) << shift;
+        shift += 7;
+    } while (byte & 0x80);
+    return value;
+}
+
+/**
+ * Read one byte
+ *
+ * @param {{bytes: Uint8Array, pos: number}} reader Bytes & read position (advanced past the byte)
+ * @returns {number} Byte
+ * @throws {LevelDataError} If there are no bytes left
+ */
+function _readByte(reader) {
+    if (reader.pos >= reader.bytes.length) {
+        throw new LevelDataError(null, "share code is cut short");
+    }
+    return reader.bytes[reader.pos++];
+}
+
+/**
+ * Encode bytes as base64url (no padding)
+ *
+ * @param {number[]} bytes Bytes
+ * @returns {string} base64url string
+ */
+function _toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+/**
+ * Decode a base64url string (padding optional)
+ *
+ * @param {string} string base64url string
+ * @returns {Uint8Array} Bytes
+ */
+function _fromBase64Url(string) {
+    let binary = atob(string.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Gets a link that opens the game straight into a level
+ *
+ * @param {{layout: string[], start: number[], par: number}} data Level data
+ * @returns {string} Share link
+ * @throws {LevelDataError} If the level data is invalid or too big to share
+ */
+function shareLink(data) {
+    let url = new URL(location.href);
+    url.search = "";
+    url.searchParams.set("level", encodeLevel(data));
+    return url.toString();
+}
+
+/**
+ * Copy a level's share link to the clipboard
+ * - Falls back to showing the link in a prompt where the clipboard is unavailable (e.g. insecure contexts)
+ *
+ * @param {{layout: string[], start: number[], par: number}} data Level data
+ * @returns {Promise<boolean>} Whether the link made it to the clipboard
+ * @throws {LevelDataError} If the level data is invalid or too big to share
+ */
+async function copyShareLink(data) {
+    let link = shareLink(data);
+    try {
+        await navigator.clipboard.writeText(link);
+        return true;
+    } catch (error) {
+        prompt("Copy this link to share the level:", link);
+        return false;
+    }
+}
+
+export { encodeLevel, decodeLevel, shareLink, copyShareLink };
@@ -0,0 +1,114 @@
+/**
+ * Breadth-first level solver
+ * - Only depends on the pure game-state model, so it runs in Node as well as in the browser
+ */
+
+import { dirEnum, GameState, BoardState } from "./state.js";
+
+/**
+ * Every direction the block can roll in, in the order they are explored
+ */
+const _DIRECTIONS = [dirEnum.posX, dirEnum.negX, dirEnum.posZ, dirEnum.negZ];
+
+/**
+ * Path step that makes the other cube active (while split); it is free, so it doesn't count as a move
+ */
+const SWITCH_CUBE = "switch";
+
+/**
+ * Find the shortest sequence of moves from a game state to a winning state
+ *
+ * @param {BoardState} boardState Board to solve
+ * @param {GameState} start Game state to start from
+ * @returns {{solvable: boolean, moves: number | null, path: (number | string)[] | null}} Minimum number of moves &
+ *  one optimal path (dirEnum directions, SWITCH_CUBE before a move of the other cube), or solvable = false with
+ *  null moves & path if no win is reachable
+ */
+function solve(boardState, start) {
+    // Map of visited state keys to the state & the move that first reached it
+    let visited = new Map([[_searchKey(start), { state: start, prevKey: null, dir: null, switched: false }]]);
+    let queue = [start];
+
+    // Plain array + read index, shift() would make the search quadratic
+    for (let i = 0; i < queue.length; i++) {
+        let state = queue[i];
+
+        if (boardState.isWin(state)) {
+            let path = _tracePath(visited, _searchKey(state));
+            return { solvable: true, moves: path.filter((step) => step !== SWITCH_CUBE).length, path: path };
+        }
+
+        // While split, either cube can move next (switching between them is free)
+        let stateKey = _searchKey(state);
+        let movers = state.isSplit ? [state, state.switched()] : [state];
+        for (const mover of movers) {
+            for (const dir of _DIRECTIONS) {
+                let next = boardState.move(mover, dir);
+                // Falling (through a broken fragile tile or a retracted bridge) loses the level,
+                // so it never leads anywhere
+                if (next === null || boardState.isLoss(next) || visited.has(_searchKey(next))) {
+                    continue;
+                }
+                visited.set(_searchKey(next), { state: next, prevKey: stateKey, dir: dir, switched: mover !== state });
+                queue.push(next);
+            }
+        }
+    }
+    return { solvable: false, moves: null, path: null };
+}
+
+/**
+ * Solve a level from its raw data
+ *
+ * @param {{layout: string[], start: number[], switches?: object[], teleporters?: object[]}} data Level data
+ * @returns {{solvable: boolean, moves: number | null, path: number[] | null}} See solve()
+ */
+function solveLevel(data) {
+    let boardState = new BoardState(data.layout, data.switches, data.teleporters);
+    return solve(boardState, boardState.initialState(data.start));
+}
+
+/**
+ * Solve a level from a bare layout (no switches)
+ *
+ * @param {string[]} layout A layout (rows of tile symbols representing positions of tiles on a board)
+ * @param {number[]} blockPosition Initial X and Z position of block
+ * @returns {{solvable: boolean, moves: number | null, path: number[] | null}} See solve()
+ */
+function solveLayout(layout, blockPosition) {
+    return solveLevel({ layout: layout, start: blockPosition });
+}
+
+/**
+ * Gets the key a state is visited under
+ * - Which cube is active doesn't matter to the search, since switching cubes is free
+ *
+ * @param {GameState} state A game state
+ * @returns {string} Search key
+ */
+function _searchKey(state) {
+    return state.isSplit && state.active !== 0 ? state.switched().key : state.key;
+}
+
+/**
+ * Walk back through visited states to rebuild the path that reached a state
+ *
+ * @param {Map<string, {state: GameState, prevKey: string | null, dir: number | null, switched: boolean}>} visited
+ *  Visited states
+ * @param {string} key Key of the last state in the path
+ * @returns {(number | string)[]} Path (dirEnum directions & SWITCH_CUBE steps) from the start state
+ */
+function _tracePath(visited, key) {
+    let path = [];
+    let node = visited.get(key);
+    while (node.prevKey !== null) {
+        path.push(node.dir);
+        if (node.switched) {
+            path.push(SWITCH_CUBE);
+        }
+        node = visited.get(node.prevKey);
+    }
+    return path.reverse();
+}
+
+export { SWITCH_CUBE, solve, solveLevel, solveLayout };
@@ -0,0 +1,172 @@
+/**
+ * Speedrun mode: every level in order, timed as one run
+ * - The run clock starts on the first move of the first level & keeps running through restarts, transitions & pauses
+ * - Splits are the run time at each level win, compared against the splits of the fastest finished run (the PB)
+ * - Level skip buttons are disabled during a run, & loading any level but the run's next one abandons it
+ */
+
+import { level, startLevel } from "./main.js";
+import { formatTime } from "./utils.js";
+import { levelCount } from "./levelData.js";
+import { fadeOutIn } from "./animations.js";
+import { getSpeedrunBest, recordSpeedrun } from "./progress.js";
+import { showMainMenu } from "./menu.js";
+
+/**
+ * Pause menu buttons that skip levels
+ */
+const _SKIP_BUTTONS = ["previous-level-button", "next-level-button"];
+
+/**
+ * Run in progress, null if none
+ * - levelNum: level being played, start: time of the first move (ms, performance.now()), null before it,
+ *   splits: run time at each level win (ms)
+ */
+let _run = null;
+
+/**
+ * Start a run from the first level
+ */
+function startSpeedrun() {
+    fadeOutIn(() => {
+        startLevel(0);
+        // Only once the first level is loaded fresh, so its timer (which starts the run clock) can't be running
+        _run = { levelNum: 0, start: null, splits: [] };
+        _setSkipButtonsDisabled(true);
+    });
+}
+
+/**
+ * Checks if the run has won its last level
+ *
+ * @returns {boolean} Whether every level of the run is won
+ */
+function isSpeedrunFinished() {
+    return _run !== null && _run.splits.length === levelCount();
+}
+
+/**
+ * Start the run clock once the first level's timer starts (on the first move)
+ * - Called every frame
+ */
+function updateSpeedrun() {
+    if (_run?.start === null && level.elapsed > 0) {
+        _run.start = performance.now() - level.elapsed;
+    }
+}
+
+/**
+ * Abandon the run if the level just loaded isn't the one it is up to (restarting that level is fine)
+ */
+function followSpeedrun() {
+    if (_run !== null && (level.isCustom || level.levelNum !== _run.levelNum)) {
+        abandonSpeedrun();
+    }
+}
+
+/**
+ * Record a split for the level just won
+ *
+ * @returns {void} Returns void & does nothing if no run is in progress
+ */
+function recordSplit() {
+    if (_run === null) {
+        return;
+    }
+    _run.splits.push(performance.now() - _run.start);
+    _run.levelNum++;
+}
+
+/**
+ * Gets the run readout for the HUD
+ *
+ * @returns {string | null} Run time & how the last split compares to the PB, null if no run is in progress
+ */
+function speedrunReadout() {
+    if (_run === null) {
+        return null;
+    }
+    let time = _run.start === null ? 0 : performance.now() - _run.start;
+    let lastSplit = _run.splits.length - 1;
+    if (isSpeedrunFinished()) {
+        time = _run.splits[lastSplit];
+    }
+    let delta = lastSplit >= 0 ? _delta(lastSplit, _run.splits[lastSplit]) : "";
+    return `RUN ${formatTime(time)}${delta && ` (${delta})`}`;
+}
+
+/**
+ * End the finished run: save it if it is a new PB & show the results screen
+ */
+function finishSpeedrun() {
+    let splits = _run.splits;
+    let best = getSpeedrunBest();
+    // Deltas are against the PB the run was racing, not one it just set
+    let rows = splits.map((split, levelNum) => {
+        let levelTime = split - (splits[levelNum - 1] ?? 0);
+        return [`LEVEL ${levelNum + 1}`, formatTime(levelTime), formatTime(split), _delta(levelNum, split, best)];
+    });
+    let isBest = recordSpeedrun(splits);
+    abandonSpeedrun();
+
+    const results = document.getElementById("speedrun-results");
+    results.replaceChildren();
+    for (const row of [["", "LEVEL", "TOTAL", "PB"], ...rows]) {
+        for (const text of row) {
+            let cell = document.createElement("span");
+            cell.textContent = text;
+            cell.classList.toggle("ahead", text.startsWith("-"));
+            cell.classList.toggle("behind", text.startsWith("+"));
+            results.append(cell);
+        }
+    }
+    let total = formatTime(splits[splits.length - 1]);
+    document.getElementById("speedrun-total").textContent = isBest ? `${total} NEW PB!` : total;
+    showMainMenu("speedrun-results-menu");
+}
+
+/**
+ * Stop the run without finishing it
+ */
+function abandonSpeedrun() {
+    _run = null;
+    _setSkipButtonsDisabled(false);
+}
+
+/**
+ * Gets how a split compares to the PB's split at the same level
+ *
+ * @param {number} levelNum Level number
+ * @param {number} split Run time at the level win (ms)
+ * @param {number[] | null} [best] PB splits (ms), the saved PB by default
+ * @returns {string} Time ahead (-) or behind (+) the PB, empty if there is no PB (or it is for other levels)
+ */
+function _delta(levelNum, split, best = getSpeedrunBest()) {
+    if (best === null || best.length !== levelCount()) {
+        return "";
+    }
+    let delta = split - best[levelNum];
+    return `${delta < 0 ? "-" : "+"}${formatTime(Math.abs(delta))}`;
+}
+
+/**
+ * Enable or disable the level skip buttons in the pause menu
+ *
+ * @param {boolean} disabled Whether to disable them
+ */
+function _setSkipButtonsDisabled(disabled) {
+    for (const id of _SKIP_BUTTONS) {
+        document.getElementById(id).disabled = disabled;
+    }
+}
+
+export {
+    startSpeedrun,
+    isSpeedrunFinished,
+    updateSpeedrun,
+    followSpeedrun,
+    recordSplit,
+    speedrunReadout,
+    finishSpeedrun,
+    abandonSpeedrun,
+};
@@ -0,0 +1,774 @@
+/**
+ * Pure game-state model of the board & block
+ * - Has no three.js dependency, so the rules can run (and be tested) without WebGL
+ */
+
+/**
+ * 2D Direction enum (X/Z)
+ */
+const dirEnum = {
+    posX: 0,
+    negX: 1,
+    posZ: 2,
+    negZ: 3,
+};
+
+/**
+ * Gets the direction opposite to a direction
+ *
+ * @param {number} dir A direction (dirEnum)
+ * @returns {number} The opposite direction (dirEnum)
+ */
+function reverseDir(dir) {
+    switch (dir) {
+        case dirEnum.posX:
+            return dirEnum.negX;
+        case dirEnum.negX:
+            return dirEnum.posX;
+        case dirEnum.posZ:
+            return dirEnum.negZ;
+        case dirEnum.negZ:
+            return dirEnum.posZ;
+    }
+    throw new Error(`Invalid direction: ${dir}`);
+}
+
+/**
+ * Block orientation enum
+ */
+const orientEnum = {
+    standing: 0,
+    lyingX: 1,
+    lyingZ: 2,
+};
+
+/**
+ * Tile type enum
+ */
+const tileEnum = {
+    normal: 0,
+    win: 1,
+    fragile: 2,
+    softSwitch: 3,
+    heavySwitch: 4,
+    bridge: 5,
+    teleporter: 6,
+};
+
+/**
+ * Map of layout symbols to tile types
+ * - Bridges have a symbol for each state they start in: extended (▬) or retracted (▭)
+ */
+const _TILE_SYMBOLS = {
+    "■": tileEnum.normal,
+    "□": tileEnum.win,
+    "▒": tileEnum.fragile,
+    "○": tileEnum.softSwitch,
+    "●": tileEnum.heavySwitch,
+    "▬": tileEnum.bridge,
+    "▭": tileEnum.bridge,
+    "◎": tileEnum.teleporter,
+};
+
+/**
+ * Layout symbol of a bridge that starts retracted
+ */
+const RETRACTED_BRIDGE_SYMBOL = "▭";
+
+/**
+ * What a switch does to its bridges when triggered
+ */
+const SWITCH_ACTIONS = ["toggle", "on", "off"];
+
+/**
+ * Gets the tile type a layout symbol stands for
+ *
+ * @param {string} symbol A layout symbol
+ * @returns {number | undefined} Tile type (tileEnum), undefined if the symbol is not a tile
+ */
+function tileFromSymbol(symbol) {
+    return _TILE_SYMBOLS[symbol];
+}
+
+/**
+ * 2D Vector with X and Z coordinates
+ */
+class Vector2XZ {
+    x;
+    z;
+
+    constructor(x, z) {
+        this.x = x;
+        this.z = z;
+    }
+
+    /**
+     * Checks if this vector has the same components as another vector
+     *
+     * @param {Vector2XZ} other Another vector
+     * @returns {boolean} Whether the vectors are equal
+     */
+    equals(other) {
+        return this.x === other.x && this.z === other.z;
+    }
+}
+
+/**
+ * Immutable logical state of the block: the cell it occupies & its orientation
+ * - When lying, (x, z) is the cell with the smallest coordinates of the two cells it covers
+ */
+class BlockState {
+    /**
+     * X cell
+     */
+    #x;
+
+    /**
+     * Z cell
+     */
+    #z;
+
+    /**
+     * Orientation (orientEnum)
+     */
+    #orientation;
+
+    /**
+     * Instantiates a new block state
+     *
+     * @param {number} x X cell
+     * @param {number} z Z cell
+     * @param {number} orientation Orientation (orientEnum), standing by default
+     */
+    constructor(x, z, orientation = orientEnum.standing) {
+        this.#x = x;
+        this.#z = z;
+        this.#orientation = orientation;
+    }
+
+    /**
+     * Gets X cell
+     *
+     * @returns {number} X cell
+     */
+    get x() {
+        return this.#x;
+    }
+
+    /**
+     * Gets Z cell
+     *
+     * @returns {number} Z cell
+     */
+    get z() {
+        return this.#z;
+    }
+
+    /**
+     * Gets orientation
+     *
+     * @returns {number} Orientation (orientEnum)
+     */
+    get orientation() {
+        return this.#orientation;
+    }
+
+    /**
+     * Gets the cell(s) covered by the block
+     *
+     * @returns {Vector2XZ[]} One cell if standing, two if lying
+     */
+    get cells() {
+        switch (this.#orientation) {
+            case orientEnum.lyingX:
+                return [new Vector2XZ(this.#x, this.#z), new Vector2XZ(this.#x + 1, this.#z)];
+            case orientEnum.lyingZ:
+                return [new Vector2XZ(this.#x, this.#z), new Vector2XZ(this.#x, this.#z + 1)];
+            default:
+                return [new Vector2XZ(this.#x, this.#z)];
+        }
+    }
+
+    /**
+     * Gets the center of the block's footprint on the board
+     *
+     * @returns {Vector2XZ} Footprint center (may be halfway between two cells)
+     */
+    get center() {
+        switch (this.#orientation) {
+            case orientEnum.lyingX:
+                return new Vector2XZ(this.#x + 0.5, this.#z);
+            case orientEnum.lyingZ:
+                return new Vector2XZ(this.#x, this.#z + 0.5);
+            default:
+                return new Vector2XZ(this.#x, this.#z);
+        }
+    }
+
+    /**
+     * Gets a string uniquely identifying this state (for use as a map/set key)
+     *
+     * @returns {string} State key
+     */
+    get key() {
+        return `${this.#x},${this.#z},${this.#orientation}`;
+    }
+
+    /**
+     * Gets the state the block would be in after rolling once in a direction
+     *
+     * @param {number} dir Direction to roll (dirEnum)
+     * @returns {BlockState} The rolled state
+     */
+    rolled(dir) {
+        const x = this.#x;
+        const z = this.#z;
+
+        switch (this.#orientation) {
+            case orientEnum.standing:
+                switch (dir) {
+                    case dirEnum.posX:
+                        return new BlockState(x + 1, z, orientEnum.lyingX);
+                    case dirEnum.negX:
+                        return new BlockState(x - 2, z, orientEnum.lyingX);
+                    case dirEnum.posZ:
+                        return new BlockState(x, z + 1, orientEnum.lyingZ);
+                    case dirEnum.negZ:
+                        return new BlockState(x, z - 2, orientEnum.lyingZ);
+                }
+                break;
+
+            case orientEnum.lyingX:
+                switch (dir) {
+                    case dirEnum.posX:
+                        return new BlockState(x + 2, z, orientEnum.standing);
+                    case dirEnum.negX:
+                        return new BlockState(x - 1, z, orientEnum.standing);
+                    case dirEnum.posZ:
+                        return new BlockState(x, z + 1, orientEnum.lyingX);
+                    case dirEnum.negZ:
+                        return new BlockState(x, z - 1, orientEnum.lyingX);
+                }
+                break;
+
+            case orientEnum.lyingZ:
+                switch (dir) {
+                    case dirEnum.posX:
+                        return new BlockState(x + 1, z, orientEnum.lyingZ);
+                    case dirEnum.negX:
+                        return new BlockState(x - 1, z, orientEnum.lyingZ);
+                    case dirEnum.posZ:
+                        return new BlockState(x, z + 2, orientEnum.standing);
+                    case dirEnum.negZ:
+                        return new BlockState(x, z - 1, orientEnum.standing);
+                }
+                break;
+        }
+        throw new Error(`Invalid roll direction: ${dir}`);
+    }
+
+    /**
+     * Checks if this state is the same as another state
+     *
+     * @param {BlockState} other Another state
+     * @returns {boolean} Whether the states are equal
+     */
+    equals(other) {
+        return this.#x === other.x && this.#z === other.z && this.#orientation === other.orientation;
+    }
+}
+
+/**
+ * Immutable logical state of a game in progress: the block (or the two cubes a teleporter split it into), which cube
+ * is active & which bridges are extended
+ */
+class GameState {
+    /**
+     * Block state, null while split
+     */
+    #block;
+
+    /**
+     * Cells of the two cubes while split, null otherwise
+     */
+    #cubes;
+
+    /**
+     * Index of the cube that moves (0 or 1)
+     */
+    #active;
+
+    /**
+     * Whether each bridge is extended (indexed like BoardState.bridges)
+     */
+    #bridges;
+
+    /**
+     * Instantiates a new game state
+     *
+     * @param {BlockState | null} block Block state, null if split
+     * @param {boolean[]} bridges Whether each bridge is extended, none by default
+     * @param {Vector2XZ[] | null} cubes Cells of the two cubes if split
+     * @param {number} active Index of the cube that moves (0 or 1)
+     */
+    constructor(block, bridges = [], cubes = null, active = 0) {
+        this.#block = block;
+        this.#bridges = Object.freeze([...bridges]);
+        this.#cubes = cubes === null ? null : Object.freeze([...cubes]);
+        this.#active = active;
+    }
+
+    /**
+     * Gets block state
+     *
+     * @returns {BlockState | null} Block state, null while split
+     */
+    get block() {
+        return this.#block;
+    }
+
+    /**
+     * Gets the cells of the two cubes
+     *
+     * @returns {readonly Vector2XZ[] | null} Cube cells, null unless split
+     */
+    get cubes() {
+        return this.#cubes;
+    }
+
+    /**
+     * Gets the index of the cube that moves
+     *
+     * @returns {number} Active cube index (0 or 1)
+     */
+    get active() {
+        return this.#active;
+    }
+
+    /**
+     * Gets whether the block is split into two cubes
+     *
+     * @returns {boolean} Whether split
+     */
+    get isSplit() {
+        return this.#cubes !== null;
+    }
+
+    /**
+     * Gets whether each bridge is extended
+     *
+     * @returns {readonly boolean[]} Bridge states (indexed like BoardState.bridges)
+     */
+    get bridges() {
+        return this.#bridges;
+    }
+
+    /**
+     * Gets the piece that moves: the block, or the active cube
+     * - A cube rolls around the same edges as a standing block, so it is given as one
+     *
+     * @returns {BlockState} Moving piece
+     */
+    get piece() {
+        if (this.#cubes === null) {
+            return this.#block;
+        }
+        let cube = this.#cubes[this.#active];
+        return new BlockState(cube.x, cube.z);
+    }
+
+    /**
+     * Gets the cell(s) under the moving piece
+     *
+     * @returns {Vector2XZ[]} Block cells, or the active cube's cell
+     */
+    get cells() {
+        return this.#cubes === null ? this.#block.cells : [this.#cubes[this.#active]];
+    }
+
+    /**
+     * Gets every cell resting on the board
+     *
+     * @returns {Vector2XZ[]} Block cells, or both cube cells
+     */
+    get occupiedCells() {
+        return this.#cubes === null ? this.#block.cells : [...this.#cubes];
+    }
+
+    /**
+     * Gets a string uniquely identifying this state (for use as a map/set key)
+     *
+     * @returns {string} State key
+     */
+    get key() {
+        let bridges = this.#bridges.map(Number).join("");
+        if (this.#cubes === null) {
+            return `${this.#block.key}|${bridges}`;
+        }
+        let [a, b] = this.#cubes;
+        return `${a.x},${a.z};${b.x},${b.z};${this.#active}|${bridges}`;
+    }
+
+    /**
+     * Gets this state with the moving piece rolled once in a direction (regardless of the board)
+     *
+     * @param {number} dir Direction to roll (dirEnum)
+     * @returns {GameState} The rolled state
+     */
+    rolled(dir) {
+        if (this.#cubes === null) {
+            return this.withBlock(this.#block.rolled(dir));
+        }
+        let cube = this.#cubes[this.#active];
+        let moved;
+        switch (dir) {
+            case dirEnum.posX:
+                moved = new Vector2XZ(cube.x + 1, cube.z);
+                break;
+            case dirEnum.negX:
+                moved = new Vector2XZ(cube.x - 1, cube.z);
+                break;
+            case dirEnum.posZ:
+                moved = new Vector2XZ(cube.x, cube.z + 1);
+                break;
+            case dirEnum.negZ:
+                moved = new Vector2XZ(cube.x, cube.z - 1);
+                break;
+            default:
+                throw new Error(`Invalid roll direction: ${dir}`);
+        }
+        let cubes = this.#active === 0 ? [moved, this.#cubes[1]] : [this.#cubes[0], moved];
+        return new GameState(null, this.#bridges, cubes, this.#active);
+    }
+
+    /**
+     * Gets this state with the block whole again (or moved)
+     *
+     * @param {BlockState} block New block state
+     * @returns {GameState} The new state (bridges unchanged)
+     */
+    withBlock(block) {
+        return new GameState(block, this.#bridges);
+    }
+
+    /**
+     * Gets this state with the block split into two cubes
+     *
+     * @param {Vector2XZ[]} cubes Cells of the two cubes
+     * @returns {GameState} The new state (bridges unchanged, first cube active)
+     */
+    withCubes(cubes) {
+        return new GameState(null, this.#bridges, cubes, 0);
+    }
+
+    /**
+     * Gets this state with different bridge states
+     *
+     * @param {boolean[]} bridges Whether each bridge is extended
+     * @returns {GameState} The new state
+     */
+    withBridges(bridges) {
+        return new GameState(this.#block, bridges, this.#cubes, this.#active);
+    }
+
+    /**
+     * Gets this state with the other cube active
+     *
+     * @returns {GameState} The new state (unchanged if not split)
+     */
+    switched() {
+        if (this.#cubes === null) {
+            return this;
+        }
+        return new GameState(null, this.#bridges, this.#cubes, 1 - this.#active);
+    }
+
+    /**
+     * Checks if this state is the same as another state
+     *
+     * @param {GameState} other Another state
+     * @returns {boolean} Whether the states are equal
+     */
+    equals(other) {
+        return this.key === other.key;
+    }
+}
+
+/**
+ * Logical state of a board: which cells hold which tiles, which switches control which bridges & where teleporters
+ * send the block
+ * - Bridge states change as the game is played, so they live in GameState rather than here
+ */
+class BoardState {
+    /**
+     * Map of cell keys ("x,z") to tile types (tileEnum)
+     */
+    #tiles = new Map();
+
+    /**
+     * Winning tile cell
+     */
+    #winPos;
+
+    /**
+     * Bridge cells, in layout order (rows top to bottom, cells left to right)
+     */
+    #bridges = [];
+
+    /**
+     * Map of bridge cell keys ("x,z") to bridge indices
+     */
+    #bridgeIndices = new Map();
+
+    /**
+     * Whether each bridge starts extended
+     */
+    #initialBridges = [];
+
+    /**
+     * Map of switch cell keys ("x,z") to the bridge indices they control & what they do to them
+     */
+    #switches = new Map();
+
+    /**
+     * Map of teleporter cell keys ("x,z") to the two cells the cubes are sent to
+     */
+    #teleporters = new Map();
+
+    /**
+     * Instantiates a new board state from a layout
+     *
+     * @param {string[]} layout A layout (rows of tile symbols representing positions of tiles on a board)
+     * @param {{at: number[], bridges: number[][], action?: string}[]} switches Switch declarations: the switch
+     *  cell, the bridge cells it controls & its action (SWITCH_ACTIONS, toggle by default)
+     * @param {{at: number[], to: number[][]}[]} teleporters Teleporter declarations: the teleporter cell & the two
+     *  cells the cubes are sent to
+     */
+    constructor(layout, switches = [], teleporters = []) {
+        for (let i = 0; i < layout.length; i++) {
+            const row = Array.from(layout[i]);
+            for (let j = 0; j < row.length; j++) {
+                const type = _TILE_SYMBOLS[row[j]];
+                if (type === undefined) {
+                    continue;
+                }
+                // Rows are Z, columns are X
+                this.#tiles.set(`${j},${i}`, type);
+                if (type === tileEnum.win) {
+                    this.#winPos = new Vector2XZ(j, i);
+                } else if (type === tileEnum.bridge) {
+                    this.#bridgeIndices.set(`${j},${i}`, this.#bridges.length);
+                    this.#bridges.push(new Vector2XZ(j, i));
+                    this.#initialBridges.push(row[j] !== RETRACTED_BRIDGE_SYMBOL);
+                }
+            }
+        }
+
+        for (const { at, bridges, action = "toggle" } of switches) {
+            this.#switches.set(`${at[0]},${at[1]}`, {
+                bridges: bridges.map(([x, z]) => this.#bridgeIndices.get(`${x},${z}`)),
+                action: action,
+            });
+        }
+
+        for (const { at, to } of teleporters) {
+            this.#teleporters.set(`${at[0]},${at[1]}`, to.map(([x, z]) => new Vector2XZ(x, z)));
+        }
+    }
+
+    /**
+     * Gets winning tile cell
+     *
+     * @returns {Vector2XZ} Winning tile cell
+     */
+    get winPos() {
+        return this.#winPos;
+    }
+
+    /**
+     * Gets every tile on the board
+     *
+     * @returns {{pos: Vector2XZ, type: number}[]} Tile cells & types
+     */
+    get tiles() {
+        return [...this.#tiles].map(([key, type]) => {
+            const [x, z] = key.split(",").map(Number);
+            return { pos: new Vector2XZ(x, z), type: type };
+        });
+    }
+
+    /**
+     * Gets every bridge cell
+     *
+     * @returns {Vector2XZ[]} Bridge cells (indexed like GameState.bridges)
+     */
+    get bridges() {
+        return [...this.#bridges];
+    }
+
+    /**
+     * Gets the game state a level starts in
+     *
+     * @param {number[]} blockPosition Initial X and Z position of block
+     * @returns {GameState} Initial game state (block standing, bridges as drawn in the layout)
+     */
+    initialState(blockPosition) {
+        return new GameState(new BlockState(...blockPosition), this.#initialBridges);
+    }
+
+    /**
+     * Gets the tile type at a cell
+     *
+     * @param {number} x X cell
+     * @param {number} z Z cell
+     * @returns {number | undefined} Tile type (tileEnum), undefined if there is no tile
+     */
+    tileAt(x, z) {
+        return this.#tiles.get(`${x},${z}`);
+    }
+
+    /**
+     * Checks if every cell covered by the block (or cubes) has a tile under it (a retracted bridge is no tile)
+     *
+     * @param {GameState} state A game state
+     * @returns {boolean} Whether the block is fully supported
+     */
+    supports(state) {
+        return state.occupiedCells.every((cell) => {
+            let type = this.tileAt(cell.x, cell.z);
+            if (type === tileEnum.bridge) {
+                return state.bridges[this.#bridgeIndices.get(`${cell.x},${cell.z}`)];
+            }
+            return type !== undefined;
+        });
+    }
+
+    /**
+     * Gets the state after rolling the block (or active cube) once in a direction, triggering any switch or teleporter
+     * it lands on & merging cubes that end up side by side
+     *
+     * @param {GameState} state A game state
+     * @param {number} dir Direction to roll (dirEnum)
+     * @returns {GameState | null} The resulting state, null if the block would roll off the board (or one cube onto
+     *  the other)
+     */
+    move(state, dir) {
+        let next = state.rolled(dir);
+        if (!this.supports(next) || (next.isSplit && next.cubes[0].equals(next.cubes[1]))) {
+            return null;
+        }
+        return this.#merge(this.#teleport(this.#triggerSwitches(next)));
+    }
+
+    /**
+     * Checks if the block is standing on the winning tile
+     *
+     * @param {GameState} state A game state
+     * @returns {boolean} Whether the game state is a winning state
+     */
+    isWin(state) {
+        return (
+            this.#winPos !== undefined &&
+            !state.isSplit &&
+            state.block.orientation === orientEnum.standing &&
+            state.block.cells[0].equals(this.#winPos)
+        );
+    }
+
+    /**
+     * Checks if the block is standing upright on a fragile tile (which breaks under its full weight)
+     * - Lying across fragile tiles spreads the weight, so they hold, as do cubes
+     *
+     * @param {GameState} state A game state
+     * @returns {boolean} Whether the tile under the block breaks
+     */
+    breaksUnder(state) {
+        if (state.isSplit) {
+            return false;
+        }
+        let cell = state.block.cells[0];
+        return state.block.orientation === orientEnum.standing && this.tileAt(cell.x, cell.z) === tileEnum.fragile;
+    }
+
+    /**
+     * Checks if the block is lost: a fragile tile broke under it, or a switch retracted a bridge from under it
+     *
+     * @param {GameState} state A game state (after any switch was triggered)
+     * @returns {boolean} Whether the block falls
+     */
+    isLoss(state) {
+        return this.breaksUnder(state) || !this.supports(state);
+    }
+
+    /**
+     * Trigger every switch the piece that just moved rests on
+     * - Soft switches trigger under any part of the block (or a cube), heavy switches only under a standing block
+     *
+     * @param {GameState} state A game state
+     * @returns {GameState} The state with the switched bridges updated
+     */
+    #triggerSwitches(state) {
+        let bridges = [...state.bridges];
+        let isStanding = !state.isSplit && state.block.orientation === orientEnum.standing;
+        for (const cell of state.cells) {
+            let type = this.tileAt(cell.x, cell.z);
+            let isPressed = type === tileEnum.softSwitch || (type === tileEnum.heavySwitch && isStanding);
+            let declared = this.#switches.get(`${cell.x},${cell.z}`);
+            if (!isPressed || declared === undefined) {
+                continue;
+            }
+            for (const index of declared.bridges) {
+                bridges[index] = declared.action === "toggle" ? !bridges[index] : declared.action === "on";
+            }
+        }
+        return state.withBridges(bridges);
+    }
+
+    /**
+     * Split the block into two cubes if it stands upright on a teleporter
+     *
+     * @param {GameState} state A game state
+     * @returns {GameState} The split state, or the same state if no teleporter was triggered
+     */
+    #teleport(state) {
+        if (state.isSplit || state.block.orientation !== orientEnum.standing) {
+            return state;
+        }
+        let to = this.#teleporters.get(`${state.block.x},${state.block.z}`);
+        return to === undefined ? state : state.withCubes(to);
+    }
+
+    /**
+     * Merge the cubes back into a lying block if they are side by side
+     *
+     * @param {GameState} state A game state
+     * @returns {GameState} The merged state, or the same state if the cubes are apart (or not split)
+     */
+    #merge(state) {
+        if (!state.isSplit) {
+            return state;
+        }
+        let [a, b] = state.cubes;
+        let dx = Math.abs(a.x - b.x);
+        let dz = Math.abs(a.z - b.z);
+        if (dx + dz !== 1) {
+            return state;
+        }
+        let orientation = dx === 1 ? orientEnum.lyingX : orientEnum.lyingZ;
+        return state.withBlock(new BlockState(Math.min(a.x, b.x), Math.min(a.z, b.z), orientation));
+    }
+}
+
+export {
+    dirEnum,
+    reverseDir,
+    orientEnum,
+    tileEnum,
+    tileFromSymbol,
+    RETRACTED_BRIDGE_SYMBOL,
+    SWITCH_ACTIONS,
+    Vector2XZ,
+    BlockState,
+    GameState,
+    BoardState,
+};
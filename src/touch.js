@@ -0,0 +1,155 @@
+/**
+ * Touch controls: swipes on the canvas, plus an optional on-screen D-pad & a pause button
+ * - Screen directions are turned into board directions through the camera, so "up" is whichever board direction
+ *   points most up the screen from the skewed isometric angle
+ */
+
+import * as THREE from "three";
+
+import { togglePause } from "./main.js";
+import { dirEnum } from "./state.js";
+import { handleBlockMovement } from "./movement.js";
+import { isMenuOpen } from "./menu.js";
+import { isEditing, isPlayTesting, stopPlayTest } from "./editor.js";
+import { isReplaying } from "./replay.js";
+import { getSetting } from "./settings.js";
+
+/**
+ * Shortest swipe (px) that counts as a move; anything shorter is a tap
+ */
+const _SWIPE_DISTANCE = 30;
+
+/**
+ * Unit vector in world space of each board direction
+ */
+const _DIR_VECTORS = new Map([
+    [dirEnum.posX, new THREE.Vector3(1, 0, 0)],
+    [dirEnum.negX, new THREE.Vector3(-1, 0, 0)],
+    [dirEnum.posZ, new THREE.Vector3(0, 0, 1)],
+    [dirEnum.negZ, new THREE.Vector3(0, 0, -1)],
+]);
+
+/**
+ * Screen direction (px, y down) of each D-pad button
+ */
+const _DPAD_BUTTONS = {
+    "dpad-up": [0, -1],
+    "dpad-down": [0, 1],
+    "dpad-left": [-1, 0],
+    "dpad-right": [1, 0],
+};
+
+/**
+ * Renderer camera (shared with main.js)
+ */
+let _camera;
+
+/**
+ * Where the current swipe started (px), null if no touch is down
+ */
+let _swipeStart = null;
+
+/**
+ * Initialize swipes on the canvas & the touch control buttons
+ *
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ */
+function initTouchInput(camera) {
+    _camera = camera;
+    const canvas = document.getElementById("three-window");
+
+    canvas.addEventListener("pointerdown", (event) => {
+        if (event.pointerType === "touch" && event.isPrimary) {
+            _swipeStart = { x: event.clientX, y: event.clientY };
+        }
+    });
+
+    canvas.addEventListener("pointerup", (event) => {
+        if (_swipeStart === null || !event.isPrimary) {
+            return;
+        }
+        let dx = event.clientX - _swipeStart.x;
+        let dy = event.clientY - _swipeStart.y;
+        _swipeStart = null;
+        if (Math.hypot(dx, dy) >= _SWIPE_DISTANCE) {
+            _move(screenDirection(dx, dy, _camera));
+        }
+    });
+
+    canvas.addEventListener("pointercancel", () => {
+        _swipeStart = null;
+    });
+
+    for (const [id, [dx, dy]] of Object.entries(_DPAD_BUTTONS)) {
+        // Pointer down rather than click, so a move isn't held back until the finger lifts
+        document.getElementById(id).onpointerdown = (event) => {
+            event.preventDefault();
+            _move(screenDirection(dx, dy, _camera));
+        };
+    }
+
+    document.getElementById("touch-pause-button").onclick = () => {
+        // Like Escape, the pause button goes back to the editor while play-testing
+        if (isPlayTesting()) {
+            stopPlayTest();
+        } else {
+            togglePause();
+        }
+    };
+
+    updateTouchControls();
+}
+
+/**
+ * Show or hide the D-pad & pause button
+ * - The D-pad follows its setting, the pause button also shows on touch screens (which have no Escape key)
+ */
+function updateTouchControls() {
+    let showDpad = getSetting("dpad");
+    document.getElementById("dpad").style.display = showDpad ? "grid" : "none";
+    let showPause = showDpad || matchMedia("(pointer: coarse)").matches;
+    document.getElementById("touch-pause-button").style.display = showPause ? "block" : "none";
+}
+
+/**
+ * Gets the board direction that points most nearly along a direction on screen
+ *
+ * @param {number} dx Horizontal screen direction (px, right is positive)
+ * @param {number} dy Vertical screen direction (px, down is positive)
+ * @param {THREE.OrthographicCamera} camera Renderer camera
+ * @returns {number} Board direction (dirEnum)
+ */
+function screenDirection(dx, dy, camera) {
+    const canvas = document.getElementById("three-window");
+    let origin = new THREE.Vector3().project(camera);
+    let bestDir = dirEnum.posX;
+    let bestAlignment = -Infinity;
+
+    for (const [dir, vector] of _DIR_VECTORS) {
+        // Board direction on screen (normalized device coordinates to px, flipping y to point down)
+        let projected = vector.clone().project(camera).sub(origin);
+        let screenX = (projected.x * canvas.clientWidth) / 2;
+        let screenY = (-projected.y * canvas.clientHeight) / 2;
+        // Proportional to the cosine of the angle between the two directions (the swipe length is the same for all)
+        let alignment = (screenX * dx + screenY * dy) / Math.hypot(screenX, screenY);
+        if (alignment > bestAlignment) {
+            bestAlignment = alignment;
+            bestDir = dir;
+        }
+    }
+    return bestDir;
+}
+
+/**
+ * Move the block from a touch control, unless the game isn't taking moves from the player
+ *
+ * @param {number} rotDir Direction block will rotate
+ */
+function _move(rotDir) {
+    if (isMenuOpen() || isEditing() || isReplaying()) {
+        return;
+    }
+    handleBlockMovement(rotDir, _camera);
+}
+
+export { initTouchInput, updateTouchControls, screenDirection };
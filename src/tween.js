@@ -0,0 +1,161 @@
+/**
+ * Time-based tween scheduler
+ * - Stepped from the render loop (requestAnimationFrame), so animations run at a speed independent of timer jitter &
+ *   frame rate, and pause with the render loop in background tabs
+ */
+
+import { getSetting } from "./settings.js";
+
+/**
+ * Longest frame step (ms); a longer gap (e.g. after the tab was hidden) is treated as this, so nothing jumps
+ */
+const _MAX_STEP = 100;
+
+/**
+ * Easing curves, mapping linear progress (0 to 1) to eased progress
+ */
+const easing = {
+    linear: (t) => t,
+    inQuad: (t) => t * t,
+    outQuad: (t) => t * (2 - t),
+    inOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+    outBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+};
+
+/**
+ * A running tween
+ */
+class Tween {
+    /**
+     * Duration (ms, at 1x animation speed)
+     */
+    #duration;
+
+    /**
+     * Easing curve
+     */
+    #easing;
+
+    /**
+     * Called every frame with the eased progress (0 to 1)
+     */
+    #onUpdate;
+
+    /**
+     * Time run so far (ms)
+     */
+    #elapsed = 0;
+
+    /**
+     * Resolves the completion promise
+     */
+    #resolve;
+
+    /**
+     * Resolves with true once the tween completes, or false if it is cancelled
+     */
+    promise;
+
+    /**
+     * @param {number} duration Duration (ms, at 1x animation speed)
+     * @param {Function} easingCurve Easing curve (see easing)
+     * @param {Function} onUpdate Called every frame with the eased progress (0 to 1), last called with exactly 1
+     */
+    constructor(duration, easingCurve, onUpdate) {
+        this.#duration = duration;
+        this.#easing = easingCurve;
+        this.#onUpdate = onUpdate;
+        this.promise = new Promise((resolve) => {
+            this.#resolve = resolve;
+        });
+    }
+
+    /**
+     * Advance the tween
+     *
+     * @param {number} delta Time since the last step (ms, already scaled by animation speed)
+     * @returns {boolean} Whether the tween has completed
+     */
+    step(delta) {
+        this.#elapsed += delta;
+        let progress = this.#duration > 0 ? Math.min(this.#elapsed / this.#duration, 1) : 1;
+        this.#onUpdate(this.#easing(progress));
+        if (progress === 1) {
+            this.#resolve(true);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stop the tween where it is (its completion promise resolves with false)
+     */
+    cancel() {
+        if (_tweens.delete(this)) {
+            this.#resolve(false);
+        }
+    }
+}
+
+/**
+ * Tweens currently running
+ */
+let _tweens = new Set();
+
+/**
+ * Speed multiplier on top of the animation speed setting (a replay's playback speed)
+ */
+let _timeScale = 1;
+
+/**
+ * Start a tween
+ *
+ * @param {number} duration Duration (ms, at 1x animation speed)
+ * @param {Function} easingCurve Easing curve (see easing)
+ * @param {Function} onUpdate Called every frame with the eased progress (0 to 1), last called with exactly 1
+ * @returns {Tween} The running tween
+ */
+function tween(duration, easingCurve, onUpdate) {
+    let running = new Tween(duration, easingCurve, onUpdate);
+    _tweens.add(running);
+    return running;
+}
+
+/**
+ * Wait on the tween clock (scaled by animation speed & paused with the render loop, unlike setTimeout)
+ *
+ * @param {number} duration Time to wait (ms, at 1x animation speed)
+ * @returns {Promise<boolean>} Resolves with true once the time has passed
+ */
+function wait(duration) {
+    return tween(duration, easing.linear, () => {}).promise;
+}
+
+/**
+ * Advance every running tween; called once per rendered frame
+ *
+ * @param {number} delta Time since the last frame (ms)
+ * @returns {number} Time the tweens were advanced by (ms, capped & scaled by the animation speed & time scale), for
+ *  anything else that should keep time with the animations
+ */
+function updateTweens(delta) {
+    let scaled = Math.min(delta, _MAX_STEP) * getSetting("animationSpeed") * _timeScale;
+    for (const running of [..._tweens]) {
+        // Skip tweens cancelled by an earlier tween this frame
+        if (_tweens.has(running) && running.step(scaled)) {
+            _tweens.delete(running);
+        }
+    }
+    return scaled;
+}
+
+/**
+ * Speed every tween up or down, on top of the animation speed setting
+ *
+ * @param {number} scale Speed multiplier (1 for normal speed)
+ */
+function setTimeScale(scale) {
+    _timeScale = scale;
+}
+
+export { easing, Tween, tween, wait, updateTweens, setTimeScale };
@@ -1,5 +1,7 @@
 import * as THREE from "three";
 
+import { orientEnum } from "./state.js";
+
 /**
  * Rotate an object around an axis in world space passing through a point
  *
@@ -21,96 +23,89 @@ function rotateAroundWorldAxis(object, point, axis, angle) {
 }
 
 /**
- * Gets current block position(s)
+ * Gets the world position of the block mesh for a logical block state
  *
- * @param {THREE.Mesh} block A block
- * @returns {Vector2XZ[]} An array of either one or two Vector2XZ objects, depending on orientation of block
+ * @param {BlockState} blockState A block state
+ * @returns {THREE.Vector3} Mesh position (center of the block)
  */
-function getBlockPos(block) {
-    // lots of floating point madness in here..
-    let blockPos;
-    if (isInt(halfRound(block.position.x)) && isInt(halfRound(block.position.z))) {
-        blockPos = [new Vector2XZ(block.position.x, block.position.z).halfRound()];
-    } else {
-        blockPos = [
-            new Vector2XZ(block.position.x, block.position.z).halfRound().floor(),
-            new Vector2XZ(block.position.x, block.position.z).halfRound().ceil(),
-        ];
-    }
-    return blockPos;
+function blockMeshPosition(blockState) {
+    let center = blockState.center;
+    let y = blockState.orientation === orientEnum.standing ? 1 : 0.5;
+    return new THREE.Vector3(center.x, y, center.z);
 }
 
 /**
- * Get a clone of the block rotated around an axis in world space passing through a point
- * - Used to get info about the future state of the block after a rotation,
- *   without affecting the real block
+ * Snap the block mesh onto a logical block state
+ * - Position is set exactly from the state, rotation is rounded to the nearest 90deg on each axis,
+ *   which clears any floating point drift accumulated while animating
  *
- * @param {THREE.Mesh} block Block to be cloned and rotated
- * @param {THREE.Vector3} point Point to be rotated around
- * @param {THREE.Vector3} axis Normalized axis vector
- * @param {number} angle Rotation angle in radians
- * @returns {THREE.Mesh} A Cloned block
+ * @param {THREE.Mesh} block Block mesh
+ * @param {BlockState} blockState Block state to draw
  */
-function getRotatedClone(block, point, axis, angle) {
-    let blockClone = block.clone();
-    rotateAroundWorldAxis(blockClone, point, axis, angle);
-    return blockClone;
+function snapBlockMesh(block, blockState) {
+    block.position.copy(blockMeshPosition(blockState));
+    _snapRotation(block);
 }
 
 /**
- * Array of 5 Audio objects
+ * Gets the world position of a cube mesh (half of a split block) on a cell
+ *
+ * @param {Vector2XZ} cell Cell of the cube
+ * @returns {THREE.Vector3} Mesh position (center of the cube)
  */
-const _audioObjects = [new Audio(), new Audio(), new Audio(), new Audio(), new Audio()];
+function cubeMeshPosition(cell) {
+    return new THREE.Vector3(cell.x, 0.5, cell.z);
+}
 
 /**
- * Loop through audioObjects, find one that is unused, use that object to play the src audio
+ * Snap a cube mesh onto a cell (see snapBlockMesh())
  *
- * @param {string} src Audio src
- * @param {number} vol Audio volume
+ * @param {THREE.Mesh} cube Cube mesh
+ * @param {Vector2XZ} cell Cell of the cube
  */
-function playAudio(src, vol) {
-    for (const audio of _audioObjects) {
-        if (audio.paused || audio.ended) {
-            audio.src = src;
-            audio.volume = vol;
-            audio.play();
-            break;
-        }
-    }
+function snapCubeMesh(cube, cell) {
+    cube.position.copy(cubeMeshPosition(cell));
+    _snapRotation(cube);
 }
 
 /**
- * Rounds a number to 2 decimal places
+ * Gets the world position the camera follows for a game state: the block, or the active cube while split
  *
- * @param {number} num A number
- * @returns {number} A rounded number
+ * @param {GameState} state A game state
+ * @returns {THREE.Vector3} Position of the moving piece
  */
-function twoPtRound(num) {
-    return Math.round(num * 100) / 100;
+function focusPosition(state) {
+    return state.isSplit ? cubeMeshPosition(state.cubes[state.active]) : blockMeshPosition(state.block);
 }
 
 /**
- * Rounds a number to the nearest 0.5
+ * Round the rotation of a mesh to the nearest 90deg on each axis
  *
- * @param {number} num A number
- * @returns {number} A rounded number
+ * @param {THREE.Mesh} mesh A mesh
  */
-function halfRound(num) {
-    return Math.round(num * 2) / 2;
+function _snapRotation(mesh) {
+    mesh.rotation.set(
+        Math.round(mesh.rotation.x / ninetyDegRad) * ninetyDegRad,
+        Math.round(mesh.rotation.y / ninetyDegRad) * ninetyDegRad,
+        Math.round(mesh.rotation.z / ninetyDegRad) * ninetyDegRad
+    );
 }
 
 /**
- * Checks if a number is an integer (% 1)
+ * Formats a duration as minutes, seconds & hundredths (m:ss.cc)
  *
- * @param {number} num A number
- * @returns {boolean} Whether the number is an integer
+ * @param {number} ms Duration (ms)
+ * @returns {string} Formatted duration
  */
-function isInt(num) {
-    return num % 1 === 0;
+function formatTime(ms) {
+    let hundredths = Math.floor(ms / 10);
+    let minutes = Math.floor(hundredths / 6000);
+    let seconds = Math.floor(hundredths / 100) % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")}.${String(hundredths % 100).padStart(2, "0")}`;
 }
 
 /**
- * Constant camera offset relative to block (-7, 20, 25)
+ * Camera offset relative to block (-7, 20, 25) from the default view (see camera.js for turning the view)
  */
 const camOffset = new THREE.Vector3(-7, 20, 25);
 
@@ -134,68 +129,17 @@ const zAxis = new THREE.Vector3(0, 0, 1);
  */
 const ninetyDegRad = Math.PI / 2;
 
-/**
- * 2D Direction enum (X/Z)
- */
-const dirEnum = {
-    posX: 0,
-    negX: 1,
-    posZ: 2,
-    negZ: 3,
-};
-
-/**
- * 2D Vector with X and Z coordinates
- */
-class Vector2XZ {
-    x;
-    z;
-
-    constructor(x, z) {
-        this.x = x;
-        this.z = z;
-    }
-
-    /**
-     * Rounds components of this vector down to nearest int
-     */
-    floor() {
-        this.x = Math.floor(this.x);
-        this.z = Math.floor(this.z);
-        return this;
-    }
-
-    /**
-     * Rounds components of this vector up to nearest int
-     */
-    ceil() {
-        this.x = Math.ceil(this.x);
-        this.z = Math.ceil(this.z);
-        return this;
-    }
-
-    /**
-     * Rounds components of this vector to the nearest 0.5
-     */
-    halfRound() {
-        this.x = halfRound(this.x);
-        this.z = halfRound(this.z);
-        return this;
-    }
-}
-
 export {
     rotateAroundWorldAxis,
-    getBlockPos,
-    getRotatedClone,
-    playAudio,
-    twoPtRound,
-    isInt,
+    blockMeshPosition,
+    snapBlockMesh,
+    cubeMeshPosition,
+    snapCubeMesh,
+    focusPosition,
+    formatTime,
     camOffset,
     xAxis,
     yAxis,
     zAxis,
     ninetyDegRad,
-    dirEnum,
-    Vector2XZ,
 };
@@ -0,0 +1,81 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { dirEnum, orientEnum, BoardState } from "../src/state.js";
+import { parseLevels } from "../src/levelData.js";
+
+/**
+ * Reads a JSON file next to the tests
+ *
+ * @param {string} path Path relative to this file
+ * @returns {any} Parsed contents
+ */
+function readJson(path) {
+    return JSON.parse(readFileSync(new URL(path, import.meta.url)));
+}
+
+/**
+ * Bundled levels, parsed & validated like the game loads them
+ */
+const levels = parseLevels(readJson("../src/assets/levels/levels.json"));
+
+/**
+ * Known solution of each bundled level, one letter per step: R/L/D/U roll the block right (+x), left (-x), down (+z)
+ * or up (-z) as seen from the default view, S makes the other cube active
+ * - Written down once rather than taken from the solver, so a bug shared by the solver & the rules can't hide itself
+ */
+const { solutions } = readJson("./fixtures/solutions.json");
+
+/**
+ * Direction each solution letter rolls in
+ */
+const STEPS = { R: dirEnum.posX, L: dirEnum.negX, D: dirEnum.posZ, U: dirEnum.negZ };
+
+/**
+ * Play a solution through a level, one step at a time, as the game would
+ *
+ * @param {object} data Level data
+ * @param {string} solution Solution letters
+ * @returns {{state: GameState, moves: number}} Final state & moves made
+ */
+function play(data, solution) {
+    let boardState = new BoardState(data.layout, data.switches, data.teleporters);
+    let state = boardState.initialState(data.start);
+    let moves = 0;
+    Array.from(solution).forEach((step, i) => {
+        assert.ok(!boardState.isWin(state), `won early, before step ${i}`);
+        if (step === "S") {
+            assert.ok(state.isSplit, `step ${i} switches cubes while the block is whole`);
+            state = state.switched();
+            return;
+        }
+        assert.ok(step in STEPS, `step ${i} is an unknown letter "${step}"`);
+        state = boardState.move(state, STEPS[step]);
+        assert.notEqual(state, null, `step ${i} rolls off the board`);
+        assert.ok(!boardState.isLoss(state), `step ${i} loses the block`);
+        moves++;
+    });
+    assert.ok(boardState.isWin(state), "doesn't end in a win");
+    return { state, moves };
+}
+
+describe("bundled levels", () => {
+    test("every level has a known solution", () => {
+        assert.equal(solutions.length, levels.length);
+    });
+
+    levels.forEach((data, levelNum) => {
+        test(`level ${levelNum + 1}: the known solution stands the block on the win tile in par`, () => {
+            let { state, moves } = play(data, solutions[levelNum]);
+
+            // Found straight from the layout, not through BoardState
+            let z = data.layout.findIndex((row) => row.includes("□"));
+            let x = Array.from(data.layout[z]).indexOf("□");
+            assert.ok(!state.isSplit);
+            assert.equal(state.block.orientation, orientEnum.standing);
+            assert.deepEqual([state.block.x, state.block.z], [x, z]);
+            assert.equal(moves, data.par);
+        });
+    });
+});
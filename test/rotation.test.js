@@ -0,0 +1,124 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { dirEnum, orientEnum, Vector2XZ, BlockState, GameState } from "../src/state.js";
+import { rollEdge, offsetRotPointX, offsetRotPointZ } from "../src/rotation.js";
+
+/**
+ * Orientation names, for test names
+ */
+const ORIENT_NAMES = Object.keys(orientEnum);
+
+/**
+ * Gets the height of a block's center above the board
+ *
+ * @param {BlockState} blockState A block state
+ * @returns {number} Center height
+ */
+function centerHeight(blockState) {
+    return blockState.orientation === orientEnum.standing ? 1 : 0.5;
+}
+
+/**
+ * Turn a point 90deg around a world axis line through an edge (right-handed, like THREE.Vector3.applyAxisAngle())
+ *
+ * @param {{x: number, y: number, z: number}} point Point to turn
+ * @param {{point: {x: number, y: number, z: number}, axis: string, angleMod: number}} edge Edge from rollEdge()
+ * @returns {{x: number, y: number, z: number}} Turned point
+ */
+function turnAroundEdge(point, edge) {
+    let sin = edge.angleMod; // sin(±90deg), cos is 0
+    let { x, y, z } = { x: point.x - edge.point.x, y: point.y - edge.point.y, z: point.z - edge.point.z };
+    let turned = edge.axis === "z" ? { x: -y * sin, y: x * sin, z: z } : { x: x, y: -z * sin, z: y * sin };
+    return { x: turned.x + edge.point.x, y: turned.y + edge.point.y, z: turned.z + edge.point.z };
+}
+
+describe("rollEdge", () => {
+    for (const [orientName, orientation] of Object.entries(orientEnum)) {
+        for (const [dirName, dir] of Object.entries(dirEnum)) {
+            test(`${orientName} block rolled ${dirName} turns onto its rolled state`, () => {
+                let block = new BlockState(3, -2, orientation);
+                let rolled = block.rolled(dir);
+                let edge = rollEdge(block, dir);
+                let center = block.center;
+
+                let turned = turnAroundEdge({ x: center.x, y: centerHeight(block), z: center.z }, edge);
+                assert.deepEqual(turned, { x: rolled.center.x, y: centerHeight(rolled), z: rolled.center.z });
+            });
+        }
+    }
+
+    test("turns around the z axis for x rolls & the x axis for z rolls", () => {
+        let block = new BlockState(0, 0);
+        assert.equal(rollEdge(block, dirEnum.posX).axis, "z");
+        assert.equal(rollEdge(block, dirEnum.negX).axis, "z");
+        assert.equal(rollEdge(block, dirEnum.posZ).axis, "x");
+        assert.equal(rollEdge(block, dirEnum.negZ).axis, "x");
+    });
+
+    test("puts the edge on the bottom face of the block, on the side it rolls toward", () => {
+        let block = new BlockState(4, 7, orientEnum.lyingX); // covers x 4 & 5, center x 4.5
+        assert.deepEqual(rollEdge(block, dirEnum.posX).point, { x: 5.5, y: 0, z: 0 });
+        assert.deepEqual(rollEdge(block, dirEnum.negX).point, { x: 3.5, y: 0, z: 0 });
+        assert.deepEqual(rollEdge(block, dirEnum.posZ).point, { x: 0, y: 0, z: 7.5 });
+        assert.deepEqual(rollEdge(block, dirEnum.negZ).point, { x: 0, y: 0, z: 6.5 });
+    });
+
+    test("rolls a cube (the moving piece while split) like a standing block", () => {
+        let state = new GameState(null, [], [new Vector2XZ(2, 2), new Vector2XZ(6, 3)], 1);
+        let steps = { posX: [1, 0], negX: [-1, 0], posZ: [0, 1], negZ: [0, -1] };
+        for (const [dirName, dir] of Object.entries(dirEnum)) {
+            let edge = rollEdge(state.piece, dir);
+            assert.deepEqual(edge, rollEdge(new BlockState(6, 3), dir), dirName);
+            // A cube is half the height of a standing block, so it turns onto the next cell & stays a cube
+            let [dx, dz] = steps[dirName];
+            assert.deepEqual(turnAroundEdge({ x: 6, y: 0.5, z: 3 }, edge), { x: 6 + dx, y: 0.5, z: 3 + dz }, dirName);
+        }
+    });
+
+    test("throws on an unknown direction", () => {
+        assert.throws(() => rollEdge(new BlockState(0, 0), 4), /Unknown direction 4/);
+    });
+});
+
+describe("offsetRotPointX", () => {
+    test("is 1 for a block lying along x (the edge is a whole block length from its center)", () => {
+        assert.equal(offsetRotPointX(new BlockState(0, 0, orientEnum.lyingX)), 1);
+    });
+
+    test("is 0.5 for a standing block & a block lying along z", () => {
+        assert.equal(offsetRotPointX(new BlockState(0, 0, orientEnum.standing)), 0.5);
+        assert.equal(offsetRotPointX(new BlockState(0, 0, orientEnum.lyingZ)), 0.5);
+    });
+
+    test("doesn't depend on where the block is, even off the positive quadrant", () => {
+        for (const [x, z] of [[0, 0], [-1, -1], [-5, 3], [9, -12]]) {
+            for (const orientation of Object.values(orientEnum)) {
+                let expected = orientation === orientEnum.lyingX ? 1 : 0.5;
+                let block = new BlockState(x, z, orientation);
+                assert.equal(offsetRotPointX(block), expected, `${ORIENT_NAMES[orientation]} at (${x}, ${z})`);
+            }
+        }
+    });
+});
+
+describe("offsetRotPointZ", () => {
+    test("is 1 for a block lying along z (the edge is a whole block length from its center)", () => {
+        assert.equal(offsetRotPointZ(new BlockState(0, 0, orientEnum.lyingZ)), 1);
+    });
+
+    test("is 0.5 for a standing block & a block lying along x", () => {
+        assert.equal(offsetRotPointZ(new BlockState(0, 0, orientEnum.standing)), 0.5);
+        assert.equal(offsetRotPointZ(new BlockState(0, 0, orientEnum.lyingX)), 0.5);
+    });
+
+    test("doesn't depend on where the block is, even off the positive quadrant", () => {
+        for (const [x, z] of [[0, 0], [-1, -1], [-5, 3], [9, -12]]) {
+            for (const orientation of Object.values(orientEnum)) {
+                let expected = orientation === orientEnum.lyingZ ? 1 : 0.5;
+                let block = new BlockState(x, z, orientation);
+                assert.equal(offsetRotPointZ(block), expected, `${ORIENT_NAMES[orientation]} at (${x}, ${z})`);
+            }
+        }
+    });
+});
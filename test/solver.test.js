@@ -0,0 +1,51 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { BoardState } from "../src/state.js";
+import { parseLevels } from "../src/levelData.js";
+import { SWITCH_CUBE, solveLevel, solveLayout } from "../src/solver.js";
+
+/**
+ * Bundled levels, parsed & validated like the game loads them
+ */
+const levels = parseLevels(JSON.parse(readFileSync(new URL("../src/assets/levels/levels.json", import.meta.url))));
+
+/**
+ * Level whose shortest solution moves the second cube first: the block stands on the teleporter in 2 moves, & only
+ * the second cube rolling left merges the cubes where one more roll stands the block on the win tile
+ */
+const teleporterLevel = {
+    layout: ["■■■◎", "    ", "■■□ "],
+    start: [0, 0],
+    teleporters: [{ at: [3, 0], to: [[0, 2], [2, 2]] }],
+};
+
+describe("solveLevel", () => {
+    levels.forEach((data, levelNum) => {
+        test(`level ${levelNum + 1}: finds a solution in par`, () => {
+            let solution = solveLevel(data);
+            assert.ok(solution.solvable);
+            assert.equal(solution.moves, data.par);
+        });
+    });
+
+    test("reports a level with no way to the win tile as unsolvable", () => {
+        assert.deepEqual(solveLayout(["■■ □"], [0, 0]), { solvable: false, moves: null, path: null });
+    });
+
+    test("finds a path through a teleporter that switches cubes, which plays through to a win", () => {
+        let solution = solveLevel(teleporterLevel);
+        assert.ok(solution.path.includes(SWITCH_CUBE));
+        assert.equal(solution.moves, 4);
+
+        let boardState = new BoardState(teleporterLevel.layout, [], teleporterLevel.teleporters);
+        let state = boardState.initialState(teleporterLevel.start);
+        for (const step of solution.path) {
+            state = step === SWITCH_CUBE ? state.switched() : boardState.move(state, step);
+            assert.notEqual(state, null);
+            assert.ok(!boardState.isLoss(state));
+        }
+        assert.ok(boardState.isWin(state));
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { dirEnum, orientEnum, Vector2XZ, BlockState, GameState, BoardState } from "../src/state.js";
+
+/**
+ * Board with a win tile at (2, 0), a fragile tile at (0, 1) & a retracted bridge at (3, 1) linked to a heavy switch
+ * at (1, 2)
+ */
+const board = new BoardState(["■■□■", "▒■■▭", "■●■■"], [{ at: [1, 2], bridges: [[3, 1]] }]);
+
+describe("move", () => {
+    test("rolls the block onto the board", () => {
+        let state = board.move(board.initialState([0, 0]), dirEnum.posX);
+        assert.equal(state.block.key, new BlockState(1, 0, orientEnum.lyingX).key);
+    });
+
+    test("rolls only the active cube while split", () => {
+        let state = new GameState(null, [false], [new Vector2XZ(0, 0), new Vector2XZ(3, 2)], 1);
+        let moved = board.move(state, dirEnum.negX);
+        assert.deepEqual(moved.cubes, [new Vector2XZ(0, 0), new Vector2XZ(2, 2)]);
+    });
+
+    test("refuses a roll of one cube onto the other", () => {
+        let state = new GameState(null, [false], [new Vector2XZ(1, 1), new Vector2XZ(1, 2)]);
+        assert.equal(board.move(state, dirEnum.posZ), null);
+    });
+});
+
+describe("supports", () => {
+    test("holds a block with a tile under every cell", () => {
+        assert.ok(board.supports(new GameState(new BlockState(0, 0, orientEnum.lyingZ), [false])));
+    });
+
+    test("drops a block hanging half off the board", () => {
+        assert.ok(!board.supports(new GameState(new BlockState(3, 0, orientEnum.lyingX), [false])));
+        assert.ok(!board.supports(new GameState(new BlockState(0, 2, orientEnum.lyingZ), [false])));
+    });
+
+    test("counts a bridge only while it is extended", () => {
+        let block = new BlockState(3, 1, orientEnum.lyingZ);
+        assert.ok(!board.supports(new GameState(block, [false])));
+        assert.ok(board.supports(new GameState(block, [true])));
+    });
+
+    test("holds cubes with a tile under each", () => {
+        assert.ok(board.supports(new GameState(null, [false], [new Vector2XZ(0, 0), new Vector2XZ(3, 2)])));
+        assert.ok(!board.supports(new GameState(null, [false], [new Vector2XZ(0, 0), new Vector2XZ(3, 1)])));
+    });
+});
+
+describe("win", () => {
+    test("standing on the win tile wins", () => {
+        assert.ok(board.isWin(new GameState(new BlockState(2, 0))));
+    });
+
+    test("rolling up onto the win tile wins", () => {
+        let state = board.move(new GameState(new BlockState(0, 0, orientEnum.lyingX)), dirEnum.posX);
+        assert.ok(board.isWin(state));
+    });
+
+    test("lying across the win tile doesn't win", () => {
+        assert.ok(!board.isWin(new GameState(new BlockState(1, 0, orientEnum.lyingX))));
+        assert.ok(!board.isWin(new GameState(new BlockState(2, 0, orientEnum.lyingX))));
+        assert.ok(!board.isWin(new GameState(new BlockState(2, 0, orientEnum.lyingZ))));
+    });
+
+    test("standing anywhere else doesn't win", () => {
+        assert.ok(!board.isWin(new GameState(new BlockState(1, 1))));
+    });
+
+    test("a cube on the win tile doesn't win", () => {
+        let cubes = [new Vector2XZ(2, 0), new Vector2XZ(0, 2)];
+        assert.ok(!board.isWin(new GameState(null, [false], cubes)));
+    });
+});
+
+describe("loss", () => {
+    test("standing on a fragile tile breaks it", () => {
+        let state = new GameState(new BlockState(0, 1), [false]);
+        assert.ok(board.breaksUnder(state));
+        assert.ok(board.isLoss(state));
+    });
+
+    test("lying across a fragile tile doesn't break it", () => {
+        let state = new GameState(new BlockState(0, 1, orientEnum.lyingX), [false]);
+        assert.ok(!board.breaksUnder(state));
+        assert.ok(!board.isLoss(state));
+    });
+
+    test("a roll off the board is refused", () => {
+        assert.equal(board.move(board.initialState([0, 0]), dirEnum.negX), null);
+        assert.equal(board.move(board.initialState([0, 0]), dirEnum.negZ), null);
+    });
+
+    test("a roll onto a retracted bridge is refused until its switch extends it", () => {
+        let state = board.initialState([3, 0]);
+        assert.equal(board.move(state, dirEnum.posZ), null);
+
+        let switched = board.move(new GameState(new BlockState(1, 0, orientEnum.lyingZ), [false]), dirEnum.posZ);
+        assert.deepEqual(switched.bridges, [true]);
+        assert.notEqual(board.move(switched.withBlock(new BlockState(3, 0)), dirEnum.posZ), null);
+    });
+});